@@ -0,0 +1,152 @@
+import fs from 'fs';
+import { readJsonFile } from './utils.js';
+import { DEFAULT_CATEGORY, METADATA_KEYS, readExtensionMetadata } from './readme.js';
+import { LoggerErrorHandler } from './logger.js';
+
+/**
+ * The description and the Marketplace status of an extension
+ * @typedef {import('./readme.js').ExtensionMetadata} ExtensionMetadata
+ */
+
+/**
+ * The Marketplace metadata of an extension, as found in an `extensionquery` response
+ * @typedef {{
+ *     displayName: string,
+ *     description: string,
+ *     lastUpdated: string | null
+ * }} MarketplaceEntry
+ */
+
+/**
+ * A deprecated extension found in an extension list
+ * @typedef {{
+ *     id: string,
+ *     displayName: string,
+ *     replacement: string | null
+ * }} DeprecatedExtension
+ */
+
+/**
+ * Finds the deprecated extensions of an extension list
+ *
+ * @param {string[]} extensions - The extension list
+ * @param {Record<string, ExtensionMetadata>} metadata - The metadata of each extension, by lowercased ID
+ * @returns {DeprecatedExtension[]} The deprecated extensions, with their replacement
+ */
+function findDeprecatedExtensions(extensions, metadata) {
+    return extensions
+        .map((ext) => ({ id: ext, entry: metadata[ext.toLowerCase()] }))
+        .filter(({ entry }) => entry?.deprecated)
+        .map(({ id, entry }) => ({ id, displayName: entry.displayName, replacement: entry.replacement ?? null }));
+}
+
+/**
+ * Finds the extensions of an extension list never checked against the Marketplace: unpublished, or added since the last refresh
+ *
+ * @param {string[]} extensions - The extension list
+ * @param {Record<string, ExtensionMetadata>} metadata - The metadata of each extension, by lowercased ID
+ * @returns {string[]} The extensions without a Marketplace status
+ */
+function findUncatalogedExtensions(extensions, metadata) {
+    return extensions.filter((ext) => metadata[ext.toLowerCase()]?.deprecated === undefined);
+}
+
+/**
+ * Reads the entries of a Marketplace `extensionquery` response, or of the list of extensions it contains
+ *
+ * @param {Object | Object[]} content - The content of the export
+ * @returns {Record<string, MarketplaceEntry>} The entries, by lowercased ID
+ */
+function parseMarketplaceQuery(content) {
+    const extensions = Array.isArray(content) ? content : (content.results ?? []).flatMap((result) => result.extensions ?? []);
+    const entries = {};
+
+    for (const ext of extensions) {
+        const publisher = ext.publisher?.publisherName ?? ext.publisher;
+
+        if (typeof publisher !== 'string' || typeof ext.extensionName !== 'string') continue;
+
+        entries[`${publisher}.${ext.extensionName}`.toLowerCase()] = {
+            displayName: ext.displayName ?? ext.extensionName,
+            description: ext.shortDescription ?? '',
+            lastUpdated: (ext.lastUpdated ?? ext.versions?.[0]?.lastUpdated)?.slice(0, 10) ?? null
+        };
+    }
+
+    return entries;
+}
+
+/**
+ * Reads the deprecated extensions of the Marketplace control manifest, the `deprecated` map VS Code reads to flag them.
+ * An entry is either `true` or an object whose `extension.id` is the replacement.
+ *
+ * @param {{ deprecated: Record<string, boolean | { extension?: { id: string } }> }} content - The content of the control manifest
+ * @returns {Record<string, string | null>} The replacement of each deprecated extension, by lowercased ID
+ */
+function parseControlManifest(content) {
+    return Object.fromEntries(
+        Object.entries(content.deprecated).map(([id, info]) => [id.toLowerCase(), info?.extension?.id?.toLowerCase() ?? null])
+    );
+}
+
+/**
+ * Refreshes the Marketplace status of the extensions in the extension metadata file from Marketplace exports:
+ * `extensionquery` responses for the last update dates, and the control manifest (`marketplace.json`) for the deprecations.
+ * The descriptions written for the README are kept: the Marketplace ones only fill the entries of the extensions without any.
+ * The deprecations are only set from a control manifest: without one, the extensions never checked stay unchecked.
+ *
+ * @param {string[]} exportPaths - The paths of the exported files
+ * @param {string[]} extensions - The extensions of the project
+ * @param {string} metadataPath - Path to the extension metadata file
+ * @returns {{ refreshed: string[], missing: string[] }} The extensions refreshed from the exports and the ones that were not
+ */
+function refreshExtensionCatalog(exportPaths, extensions, metadataPath) {
+    const metadata = readExtensionMetadata(metadataPath);
+
+    try {
+        const contents = exportPaths.map((filePath) => readJsonFile(filePath));
+        const marketplace = Object.assign({}, ...contents.filter((content) => !content.deprecated).map(parseMarketplaceQuery));
+        const manifests = contents.filter((content) => content.deprecated);
+        const deprecated = manifests.length > 0 ? Object.assign({}, ...manifests.map(parseControlManifest)) : null;
+        const ids = [...new Set(extensions.map((ext) => ext.toLowerCase()))].sort();
+        const refreshed = [];
+
+        for (const id of ids) {
+            const found = marketplace[id];
+
+            // Without query results, only the extensions already described can be refreshed, and only from a control manifest
+            if (!found && (!deprecated || !(id in metadata))) continue;
+
+            const entry = metadata[id] ?? {
+                displayName: found.displayName,
+                category: DEFAULT_CATEGORY,
+                description: found.description || found.displayName
+            };
+
+            if (found) entry.lastUpdated = found.lastUpdated;
+
+            if (deprecated) {
+                entry.deprecated = id in deprecated;
+                entry.replacement = deprecated[id] ?? null;
+            }
+
+            metadata[id] = entry;
+            refreshed.push(id);
+        }
+
+        const sorted = Object.keys(metadata)
+            .sort()
+            .map((id) => [
+                id,
+                Object.fromEntries(METADATA_KEYS.filter((key) => key in metadata[id]).map((key) => [key, metadata[id][key]]))
+            ]);
+
+        fs.writeFileSync(metadataPath, JSON.stringify(Object.fromEntries(sorted), null, 4) + '\n');
+
+        return { refreshed, missing: ids.filter((id) => !refreshed.includes(id)) };
+    } catch (err) {
+        throw new LoggerErrorHandler('Failed to refresh the Marketplace status of the extensions', err.message);
+    }
+}
+
+export { findDeprecatedExtensions, findUncatalogedExtensions, refreshExtensionCatalog };
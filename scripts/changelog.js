@@ -0,0 +1,153 @@
+import fs from 'fs';
+import path from 'path';
+import { readManifestRevisions } from './history.js';
+import { getExtensionListChanges } from './utils.js';
+import { LoggerErrorHandler } from './logger.js';
+
+const CHANGELOG_HEADER = '# Changelog\n\nAll notable changes to the extension list of this pack are documented in this file.\n';
+
+/**
+ * A version entry of the changelog
+ * @typedef {{
+ *     version: string,
+ *     date: string,
+ *     added: string[],
+ *     removed: string[],
+ *     files: string[]
+ * }} ChangelogEntry
+ */
+
+/**
+ * The data of the extension pack
+ * @typedef {import('./release.js').ExtensionPackData} ExtensionPackData
+ */
+
+/**
+ * A git client bound to a working tree
+ * @typedef {import('./git.js').Git} Git
+ */
+
+/**
+ * The manifest of an extension pack at a git revision
+ * @typedef {import('./history.js').ManifestRevision} ManifestRevision
+ */
+
+/**
+ * Renders a changelog entry as a Markdown section
+ *
+ * @param {ChangelogEntry} entry - The changelog entry
+ * @returns {string} The Markdown section
+ */
+function renderChangelogSection(entry) {
+    const list = (items, format = (item) => item) => items.map((item) => `- ${format(item)}`).join('\n') + '\n';
+    let section = `## [${entry.version}] - ${entry.date}\n`;
+
+    if (entry.added.length > 0) section += '\n### Added\n\n' + list(entry.added, (ext) => `\`${ext}\``);
+    if (entry.removed.length > 0) section += '\n### Removed\n\n' + list(entry.removed, (ext) => `\`${ext}\``);
+    if (entry.files.length > 0) section += '\n### Changed files\n\n' + list(entry.files);
+    if (entry.added.length + entry.removed.length + entry.files.length === 0) section += '\n- No changes to the extension list.\n';
+
+    return section;
+}
+
+/**
+ * Gets the changelog section of the release described by the extension pack data
+ *
+ * @param {ExtensionPackData} data - The data of the extension pack
+ * @returns {string} The Markdown section
+ */
+function getChangelogSection(data) {
+    const { added, removed } = getExtensionListChanges(data.currentExtensions, data.updatedExtensions);
+    const files = (data.changedFiles ?? []).filter((file) => !['package.json', 'CHANGELOG.md'].includes(path.basename(file)));
+
+    return renderChangelogSection({
+        version: data.updatedVersion,
+        date: new Date().toISOString().slice(0, 10),
+        added,
+        removed,
+        files
+    });
+}
+
+/**
+ * Inserts a section on top of the changelog, replacing the previous section of the same version if any
+ *
+ * @param {string} content - The current changelog content
+ * @param {string} version - The version of the section
+ * @param {string} section - The Markdown section
+ * @returns {string} The updated changelog content
+ */
+function insertChangelogSection(content, version, section) {
+    const sections = content.split(/^(?=## )/m);
+    const header = sections[0].startsWith('## ') ? CHANGELOG_HEADER : sections.shift();
+    const others = sections.filter((s) => !s.startsWith(`## [${version}]`));
+
+    return [header.trimEnd() + '\n', section, ...others.map((s) => s.trimEnd() + '\n')].join('\n');
+}
+
+/**
+ * Prepends the section of the release to the changelog of the extension pack, creating the file if needed
+ *
+ * @param {ExtensionPackData} data - The data of the extension pack
+ */
+function updateChangelog(data) {
+    try {
+        const changelogPath = data.changelogPath;
+        const content = fs.existsSync(changelogPath) ? fs.readFileSync(changelogPath, 'utf8') : CHANGELOG_HEADER;
+
+        fs.writeFileSync(changelogPath, insertChangelogSection(content, data.updatedVersion, getChangelogSection(data)));
+    } catch (err) {
+        throw new LoggerErrorHandler('Failed to update CHANGELOG.md', err.message);
+    }
+}
+
+/**
+ * Gets the changelog entries of every version of a manifest, newest first.
+ * The revisions of a same version are merged into one entry, with the date and the extension list of the last one.
+ *
+ * @param {ManifestRevision[]} revisions - The revisions of the manifest, oldest first
+ * @returns {ChangelogEntry[]} The changelog entries
+ */
+function getChangelogEntries(revisions) {
+    const versions = [];
+
+    for (const { version, date, extensions } of revisions) {
+        const last = versions[versions.length - 1];
+
+        if (last && last.version === version) Object.assign(last, { date, extensions });
+        else versions.push({ version, date, previous: last?.extensions ?? [], extensions });
+    }
+
+    return versions
+        .map(({ version, date, previous, extensions }) => ({ version, date, ...getExtensionListChanges(previous, extensions), files: [] }))
+        .reverse();
+}
+
+/**
+ * Rebuilds the changelog of an extension pack, next to its manifest, from the git history of the manifest's `extensionPack`
+ *
+ * @param {Git} git - The git client of the project
+ * @param {boolean} [force = false] - If true, overwrites an existing changelog
+ * @param {string} [manifestPath = 'package.json'] - The path of the manifest, relative to the project root
+ * @returns {number} The number of versions written
+ */
+function backfillChangelog(git, force = false, manifestPath = 'package.json') {
+    const changelogPath = path.join(git.cwd, path.dirname(manifestPath), 'CHANGELOG.md');
+
+    if (fs.existsSync(changelogPath) && !force) {
+        throw new LoggerErrorHandler('CHANGELOG.md already exists', 'Use --force to rebuild it from the git history.');
+    }
+
+    try {
+        const entries = getChangelogEntries(readManifestRevisions(git, manifestPath));
+        const content = [CHANGELOG_HEADER, ...entries.map(renderChangelogSection)].join('\n');
+
+        fs.writeFileSync(changelogPath, content);
+
+        return entries.length;
+    } catch (err) {
+        throw new LoggerErrorHandler('Failed to backfill CHANGELOG.md', err.message);
+    }
+}
+
+export { backfillChangelog, getChangelogSection, renderChangelogSection, updateChangelog };
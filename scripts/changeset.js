@@ -0,0 +1,230 @@
+import { colorize, getExtensionListChanges } from './utils.js';
+
+/**
+ * The placeholders of the commit message templates
+ */
+const MESSAGE_PLACEHOLDERS = ['scope', 'name', 'version', 'previousVersion', 'added', 'removed', 'extensions', 'files'];
+
+/**
+ * The changes a release makes to an extension pack.
+ * `files` are the changed extension files worth reporting: when the extension list changes, package.json changes with it,
+ * so the files are only reported if another one changed too.
+ * @typedef {{
+ *     name: string,
+ *     scope: string,
+ *     previousVersion: string,
+ *     version: string,
+ *     added: string[],
+ *     removed: string[],
+ *     kept: string[],
+ *     files: string[]
+ * }} ChangeSet
+ */
+
+/**
+ * The templates of the commit message of an extension pack, as set in the `messages` of the release config.
+ * `release` is the subject, `body` and `footer` the paragraphs after it.
+ * @typedef {{
+ *     release: string,
+ *     body: string,
+ *     footer: string
+ * }} MessageTemplates
+ */
+
+/**
+ * Styles a text, either with ANSI codes or not at all
+ * @typedef {(style: import('./utils.js').Style, text: string) => string} Colorizer
+ */
+
+/**
+ * Builds the change set of an extension pack
+ *
+ * @param {{
+ *     name: string,
+ *     scope: string,
+ *     previousVersion: string,
+ *     version: string,
+ *     currentExtensions: string[],
+ *     updatedExtensions: string[],
+ *     changedFiles?: string[]
+ * }} release - The extension pack before and after the release, and the extension files that differ from HEAD
+ * @returns {ChangeSet} The change set
+ */
+function createChangeSet(release) {
+    const { added, removed, kept } = getExtensionListChanges(release.currentExtensions, release.updatedExtensions);
+    const changedFiles = release.changedFiles ?? [];
+    const listChanged = added.length > 0 || removed.length > 0;
+    const reported = changedFiles.some((file) => !listChanged || !file.endsWith('package.json'));
+
+    return {
+        name: release.name,
+        scope: release.scope,
+        previousVersion: release.previousVersion,
+        version: release.version,
+        added,
+        removed,
+        kept,
+        files: reported ? changedFiles : []
+    };
+}
+
+/**
+ * Checks if a change set has anything to commit
+ *
+ * @param {ChangeSet} changeSet - The change set
+ * @returns {boolean} True if extensions are added or removed, or extension files changed
+ */
+function hasChanges(changeSet) {
+    return changeSet.added.length + changeSet.removed.length + changeSet.files.length > 0;
+}
+
+/**
+ * Renders the new extension list, with the added and removed extensions marked
+ *
+ * @param {ChangeSet} changeSet - The change set
+ * @param {Colorizer} style - Styles each line
+ * @returns {string} The extension list, or an empty string if it did not change
+ */
+function renderExtensionList(changeSet, style) {
+    if (changeSet.added.length + changeSet.removed.length === 0) return '';
+
+    const lines = [
+        ...changeSet.kept.map((ext) => [ext, style('white', `  • ${ext}`)]),
+        ...changeSet.removed.map((ext) => [ext, style('red', `  - ${ext}`)]),
+        ...changeSet.added.map((ext) => [ext, style('green', `  + ${ext}`)])
+    ];
+
+    return ['New extension list:', ...lines.sort(([a], [b]) => a.localeCompare(b)).map(([, line]) => line)].join('\n');
+}
+
+/**
+ * Fills a template with the values of the placeholders.
+ * Paragraphs whose placeholders are all empty are left out, e.g. a `BREAKING CHANGE: {{removed}}` footer without removals.
+ *
+ * @param {string} template - The template
+ * @param {Record<string, string>} values - The value of each placeholder
+ * @returns {string} The filled template
+ */
+function fillTemplate(template, values) {
+    return template
+        .split(/\n{2,}/)
+        .filter((paragraph) => {
+            const placeholders = [...paragraph.matchAll(/\{\{(\w+)\}\}/g)];
+
+            return placeholders.length === 0 || placeholders.some(([, key]) => (values[key] ?? '') !== '');
+        })
+        .map((paragraph) => paragraph.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match).trim())
+        .filter((paragraph) => paragraph !== '')
+        .join('\n\n');
+}
+
+/**
+ * Renders the message of a change set from the templates
+ *
+ * @param {ChangeSet} changeSet - The change set
+ * @param {MessageTemplates} templates - The templates of the message
+ * @param {Colorizer} style - Styles the lines of the extension list
+ * @returns {string} The message
+ */
+function renderMessage(changeSet, templates, style) {
+    const values = {
+        scope: changeSet.scope,
+        name: changeSet.name,
+        version: changeSet.version,
+        previousVersion: changeSet.previousVersion,
+        added: changeSet.added.join(', '),
+        removed: changeSet.removed.join(', '),
+        extensions: renderExtensionList(changeSet, style),
+        files: changeSet.files.length > 0 ? 'Extension files updated:\n\n- ' + changeSet.files.join('\n- ') : ''
+    };
+
+    return (
+        [templates.release, templates.body, templates.footer]
+            .map((template) => fillTemplate(template, values))
+            .filter(Boolean)
+            .join('\n\n') + '\n'
+    );
+}
+
+/**
+ * Renders the commit message of a change set as plain text, from the templates
+ *
+ * @param {ChangeSet} changeSet - The change set
+ * @param {MessageTemplates} templates - The templates of the message
+ * @returns {string} The commit message
+ */
+function renderCommitMessage(changeSet, templates) {
+    return renderMessage(changeSet, templates, (_, text) => text);
+}
+
+/**
+ * Renders the commit message of a change set for the terminal, with the added and removed extensions colored
+ *
+ * @param {ChangeSet} changeSet - The change set
+ * @param {MessageTemplates} templates - The templates of the message
+ * @returns {string} The colored commit message
+ */
+function renderTerminalPreview(changeSet, templates) {
+    return renderMessage(changeSet, templates, colorize);
+}
+
+/**
+ * Formats the versions of a change set, e.g. `v3.1.0 → v3.2.0`
+ *
+ * @param {ChangeSet} changeSet - The change set
+ * @returns {string} The versions
+ */
+function formatVersions(changeSet) {
+    return changeSet.previousVersion === changeSet.version
+        ? `v${changeSet.version}`
+        : `v${changeSet.previousVersion} → v${changeSet.version}`;
+}
+
+/**
+ * Renders the added and removed extensions of a change set for the terminal, without the extensions kept
+ *
+ * @param {ChangeSet} changeSet - The change set
+ * @returns {string} The colored summary
+ */
+function renderTextSummary(changeSet) {
+    const counts = `${changeSet.added.length} added, ${changeSet.removed.length} removed, ${changeSet.kept.length} kept`;
+    const lines = [
+        ...changeSet.removed.map((ext) => [ext, colorize('red', `  - ${ext}`)]),
+        ...changeSet.added.map((ext) => [ext, colorize('green', `  + ${ext}`)])
+    ];
+
+    return (
+        [
+            `${colorize('bold', changeSet.name)} ${formatVersions(changeSet)} (${counts})`,
+            ...lines.sort(([a], [b]) => a.localeCompare(b)).map(([, line]) => line)
+        ].join('\n') + '\n'
+    );
+}
+
+/**
+ * Renders a change set as a Markdown summary, e.g. for a pull request or release notes
+ *
+ * @param {ChangeSet} changeSet - The change set
+ * @returns {string} The Markdown summary
+ */
+function renderMarkdownSummary(changeSet) {
+    const list = (items) => items.map((item) => `- \`${item}\``).join('\n') + '\n';
+    let summary = `## ${changeSet.name} ${formatVersions(changeSet)}\n`;
+
+    if (changeSet.added.length > 0) summary += `\n### Added (${changeSet.added.length})\n\n` + list(changeSet.added);
+    if (changeSet.removed.length > 0) summary += `\n### Removed (${changeSet.removed.length})\n\n` + list(changeSet.removed);
+    if (changeSet.files.length > 0) summary += '\n### Changed files\n\n' + list(changeSet.files);
+    if (!hasChanges(changeSet)) summary += '\nNo changes.\n';
+
+    return summary;
+}
+
+export {
+    MESSAGE_PLACEHOLDERS,
+    createChangeSet,
+    hasChanges,
+    renderCommitMessage,
+    renderMarkdownSummary,
+    renderTerminalPreview,
+    renderTextSummary
+};
@@ -0,0 +1,605 @@
+import path from 'path';
+import { parseArgs } from 'util';
+import { colorize, isMainModule, setColorEnabled, setupPrompts } from './utils.js';
+import { ReleaseAbortedError, createReleaser } from './release.js';
+import { loadReleaseConfig } from './config.js';
+import { renderTextSummary } from './changeset.js';
+import { HISTORY_FORMATS, renderComparison, renderHistory } from './history.js';
+import { EXPORTERS } from './export.js';
+import { LEVEL_COLORS, listLogRuns, printLogs } from './logs.js';
+import { Logger, LoggerErrorHandler } from './logger.js';
+
+const logger = Logger.create(import.meta.url);
+const { error, info, success, warning } = logger;
+
+const USAGE = 'node scripts/cli.js';
+
+/**
+ * A command line option, as accepted by `util.parseArgs`, with its help text
+ * @typedef {{
+ *     type: 'boolean' | 'string',
+ *     short?: string,
+ *     multiple?: boolean,
+ *     value?: string,
+ *     description: string
+ * }} CliOption
+ */
+
+/**
+ * A subcommand of the CLI. `arguments` is the usage of its positional arguments, the command takes none if not provided.
+ * @typedef {{
+ *     description: string,
+ *     arguments?: string,
+ *     options: Record<string, CliOption>,
+ *     run: (
+ *         releaser: import('./release.js').Releaser,
+ *         values: Record<string, any>,
+ *         positionals: string[],
+ *         config: import('./config.js').ReleaseConfig
+ *     ) => void
+ * }} CliCommand
+ */
+
+/**
+ * The options of every command
+ * @type {Record<string, CliOption>}
+ */
+const GLOBAL_OPTIONS = {
+    help: { type: 'boolean', short: 'h', description: 'Print the help of the command' },
+    verbose: { type: 'boolean', short: 'v', description: 'Also print the details of the messages' },
+    quiet: { type: 'boolean', short: 'q', description: 'Only print warnings, errors and questions' },
+    'log-file': { type: 'string', value: '<path>', description: 'Write the log to this file instead of the log directory' },
+    'no-color': { type: 'boolean', description: 'Print the output without colors' }
+};
+
+/**
+ * @type {Record<string, CliOption>}
+ */
+const PACK_OPTIONS = {
+    profile: {
+        type: 'string',
+        multiple: true,
+        value: '<id>',
+        description: 'Select an extension pack by profile ID, `default` being the root package.json (repeatable)'
+    },
+    'all-profiles': { type: 'boolean', description: 'Select the default extension pack and every profile' }
+};
+
+/**
+ * @type {Record<string, CliOption>}
+ */
+const VERSION_OPTIONS = {
+    major: { type: 'boolean', description: 'Bump the major version, whatever the changes are' },
+    minor: { type: 'boolean', description: 'Bump the minor version, whatever the changes are' },
+    patch: { type: 'boolean', description: 'Bump the patch version, whatever the changes are' },
+    prerelease: { type: 'string', value: '<tag>', description: 'Make a semver pre-release, e.g. `beta` for 3.2.0-beta.0' }
+};
+
+/**
+ * @type {Record<string, CliOption>}
+ */
+const PROJECT_FILE_OPTIONS = {
+    include: {
+        type: 'string',
+        multiple: true,
+        value: '<glob>',
+        description: 'Only commit the project files matching the pattern (repeatable)'
+    },
+    exclude: {
+        type: 'string',
+        multiple: true,
+        value: '<glob>',
+        description: 'Never commit the project files matching the pattern (repeatable)'
+    }
+};
+
+/**
+ * @type {Record<string, CliOption>}
+ */
+const PROMPT_OPTIONS = {
+    yes: { type: 'boolean', short: 'y', description: 'Answer yes to every question' },
+    no: { type: 'boolean', description: 'Answer no to every question' },
+    answers: { type: 'string', value: '<file>', description: 'Answer the questions from a JSON file mapping prompt names to answers' }
+};
+
+/**
+ * @type {Record<string, CliOption>}
+ */
+const DRY_RUN_OPTIONS = {
+    'dry-run': {
+        type: 'boolean',
+        description: `Print what the command would change, without changing anything (same as \`${USAGE} diff\`)`
+    }
+};
+
+/**
+ * @type {Record<string, CliOption>}
+ */
+const REMOVAL_OPTIONS = {
+    'allow-removals': { type: 'boolean', description: 'Remove extensions from the packs without asking' }
+};
+
+/**
+ * @type {Record<string, CliOption>}
+ */
+const PREFLIGHT_OPTIONS = {
+    branch: { type: 'string', value: '<name>', description: 'The branch releases are made from (default: preflight.branch)' },
+    'skip-check': {
+        type: 'string',
+        multiple: true,
+        value: '<check>',
+        description:
+            'Skip a preflight check: branch, clean, upstream, operation, manifest or vscodeignore (repeatable, default: preflight.skip)'
+    },
+    force: { type: 'boolean', description: 'Go on even if preflight checks fail' }
+};
+
+/**
+ * @type {Record<string, CliOption>}
+ */
+const CATALOG_OPTIONS = {
+    'refuse-deprecated': {
+        type: 'boolean',
+        description: 'Stop if a pack ships an extension marked as deprecated in extension-metadata.json'
+    }
+};
+
+/**
+ * @type {Record<string, CliOption>}
+ */
+const MARKETPLACE_OPTIONS = {
+    'marketplace-pre-release': { type: 'boolean', description: 'Publish as a pre-release on the Marketplace' }
+};
+
+/**
+ * Gets the options of the release from the parsed command line options
+ *
+ * @param {Record<string, any>} values - The parsed command line options
+ * @returns {import('./release.js').ReleaseOptions} The options of the release
+ */
+function getReleaseOptions(values) {
+    const bumps = ['major', 'minor', 'patch'].filter((level) => values[level]);
+
+    if (bumps.length > 1) throw new LoggerErrorHandler('Only one of --major, --minor and --patch can be used');
+
+    return {
+        bump: bumps[0],
+        prerelease: values.prerelease,
+        marketplacePreRelease: values['marketplace-pre-release'],
+        profiles: values.profile,
+        allProfiles: values['all-profiles'],
+        include: values.include,
+        exclude: values.exclude,
+        allowRemovals: values['allow-removals'],
+        releaseBranch: values.branch,
+        skipChecks: values['skip-check'],
+        force: values.force,
+        refuseDeprecated: values['refuse-deprecated']
+    };
+}
+
+/**
+ * Prints what a release would change
+ *
+ * @param {import('./release.js').ReleasePlan} plan - The release plan
+ */
+function printReleasePlan(plan) {
+    info('Dry run: no files, index entries or commits will be changed.');
+
+    if (plan.projectMessage.trim() === '') {
+        info('No changes to commit for project files.');
+    } else {
+        info('Project files commit message:');
+        console.log(plan.projectMessage);
+    }
+
+    for (const pack of plan.packs) {
+        info('Extension pack {{0}} ({{1}}):', null, pack.name, pack.manifestPath);
+
+        info('Merged extension list ({{0}} extensions):', null, String(pack.extensions.length));
+        console.log(pack.extensions.map((ext) => `  • ${ext}`).join('\n') + '\n');
+
+        info('Version: {{0}} -> {{1}}', null, pack.currentVersion, pack.updatedVersion);
+
+        if (pack.removed.length > 0) warning('Removals that must be confirmed on release: {{0}}', null, pack.removed.join(', '));
+
+        if (!pack.hasChanges) {
+            info('No changes to commit for extension files.');
+            continue;
+        }
+
+        info('Extension files commit message:');
+        console.log(pack.preview);
+
+        info('{{0}} diff:', null, pack.manifestPath);
+        console.log(pack.manifestDiff);
+
+        info('{{0}} section:', null, pack.changelogPath);
+        console.log(pack.changelogSection);
+
+        if (pack.readmeDiff !== null) {
+            info('README.md diff:');
+            console.log(pack.readmeDiff);
+        }
+    }
+}
+
+/**
+ * Prints what a release would change, as a Markdown summary of each pack if `markdown` is set
+ *
+ * @param {import('./release.js').Releaser} releaser - The release pipeline
+ * @param {Record<string, any>} values - The parsed command line options
+ */
+function printDiff(releaser, values) {
+    const plan = releaser.plan(getReleaseOptions(values));
+
+    if (values.markdown) console.log(plan.packs.map((pack) => pack.summary).join('\n'));
+    else printReleasePlan(plan);
+}
+
+/**
+ * Gets what a command did to an extension pack
+ *
+ * @param {import('./release.js').PackResult} pack - The outcome of the command for the pack
+ * @returns {string} The status of the pack
+ */
+function getPackStatus(pack) {
+    if (pack.published) return `Published as ${pack.tag}`;
+    if (pack.tag) return `Tagged ${pack.tag}, not published`;
+    if (pack.committed) return 'Committed, not published';
+
+    return pack.version === pack.previousVersion ? 'No changes' : 'Updated, not committed';
+}
+
+/**
+ * Prints the outcome of a release, an update or a publication: the commits made and the changes to each pack
+ *
+ * @param {import('./release.js').ReleaseResult} result - The outcome of the command
+ */
+function printReleaseResult(result) {
+    info('Summary ({{0}} commit(s)):', result.commits.join('\n') || null, String(result.commits.length));
+
+    for (const pack of result.packs) {
+        console.log(renderTextSummary(pack) + colorize('white', `  → ${getPackStatus(pack)}`) + '\n');
+    }
+}
+
+/**
+ * The subcommands of the CLI
+ * @type {Record<string, CliCommand>}
+ */
+const COMMANDS = {
+    release: {
+        description: 'Commit the project files, then update, commit and publish the extension packs',
+        options: {
+            ...PACK_OPTIONS,
+            ...VERSION_OPTIONS,
+            ...MARKETPLACE_OPTIONS,
+            ...PROJECT_FILE_OPTIONS,
+            ...REMOVAL_OPTIONS,
+            ...CATALOG_OPTIONS,
+            ...PREFLIGHT_OPTIONS,
+            resume: { type: 'boolean', description: 'Roll back the last failed release and retry it with the same options' },
+            ...DRY_RUN_OPTIONS,
+            ...PROMPT_OPTIONS
+        },
+        run: (releaser, values) => {
+            if (values['dry-run'] && values.resume)
+                throw new LoggerErrorHandler('The --dry-run and --resume options cannot be used together');
+            if (values['dry-run']) return printDiff(releaser, values);
+
+            printReleaseResult(values.resume ? releaser.resume() : releaser.release(getReleaseOptions(values)));
+        }
+    },
+    update: {
+        description: 'Update the manifests, changelogs and README of the extension packs, without committing',
+        options: { ...PACK_OPTIONS, ...VERSION_OPTIONS, ...REMOVAL_OPTIONS, ...CATALOG_OPTIONS, ...DRY_RUN_OPTIONS, ...PROMPT_OPTIONS },
+        run: (releaser, values) =>
+            values['dry-run'] ? printDiff(releaser, values) : printReleaseResult(releaser.update(getReleaseOptions(values)))
+    },
+    validate: {
+        description: 'Validate the recommended extensions',
+        options: {},
+        run: (releaser) => {
+            releaser.validate();
+            success('The extension list is valid.');
+        }
+    },
+    diff: {
+        description: 'Print what a release would change, without changing anything',
+        options: {
+            ...PACK_OPTIONS,
+            ...VERSION_OPTIONS,
+            ...PROJECT_FILE_OPTIONS,
+            markdown: { type: 'boolean', description: 'Print a Markdown summary of the changes to each pack instead' }
+        },
+        run: (releaser, values) => printDiff(releaser, values)
+    },
+    publish: {
+        description: 'Package and publish the current version of the extension packs, without changing them',
+        options: { ...PACK_OPTIONS, ...MARKETPLACE_OPTIONS, ...CATALOG_OPTIONS, ...PREFLIGHT_OPTIONS },
+        run: (releaser, values) => printReleaseResult(releaser.publish(getReleaseOptions(values)))
+    },
+    history: {
+        description: 'Print when each extension was added to or removed from a pack, or compare two versions or refs of it',
+        arguments: '[diff <from> <to>]',
+        options: {
+            profile: { type: 'string', value: '<id>', description: 'The pack, by profile ID (default: the root package.json)' },
+            format: { type: 'string', value: '<format>', description: 'The output format: text, json or markdown (default: text)' }
+        },
+        run: (releaser, values, positionals) => {
+            const format = values.format ?? 'text';
+
+            if (!HISTORY_FORMATS.includes(format)) {
+                throw new LoggerErrorHandler(`Unknown format: ${format}`, `Formats: ${HISTORY_FORMATS.join(', ')}`);
+            }
+
+            if (positionals.length === 0) {
+                const entries = releaser.history({ profile: values.profile });
+
+                if (entries.length === 0 && format === 'text') return info('No changes to the extension list found in the git history.');
+
+                return console.log(renderHistory(entries, format));
+            }
+
+            if (positionals[0] !== 'diff' || positionals.length !== 3) {
+                throw new LoggerErrorHandler(`Unexpected arguments: ${positionals.join(' ')}`, `Usage: ${USAGE} history diff <from> <to>`);
+            }
+
+            console.log(renderComparison(releaser.compare(positionals[1], positionals[2], { profile: values.profile }), format));
+        }
+    },
+    import: {
+        description: 'Import the extensions of a `code --list-extensions` output or of a VS Code profile into the recommendations',
+        arguments: '<file>',
+        options: {
+            'keep-removed': { type: 'boolean', description: 'Only add extensions, without removing any recommendation' },
+            ...PROMPT_OPTIONS
+        },
+        run: (releaser, values, positionals) => {
+            if (positionals.length !== 1) {
+                throw new LoggerErrorHandler(
+                    'Expected one file to import',
+                    `Usage: ${USAGE} import <extensions.txt | profile.code-profile>`
+                );
+            }
+
+            releaser.import(positionals[0], { keepRemoved: values['keep-removed'] });
+        }
+    },
+    export: {
+        description: 'Export the extension list of a pack to devcontainer, VS Code profile and install script formats',
+        options: {
+            out: { type: 'string', value: '<dir>', description: 'The directory of the generated files (default: dist)' },
+            profile: { type: 'string', value: '<id>', description: 'The pack, by profile ID (default: the root package.json)' },
+            format: {
+                type: 'string',
+                multiple: true,
+                value: '<format>',
+                description: `The format to generate: ${Object.keys(EXPORTERS).join(', ')} (repeatable, default: all)`
+            }
+        },
+        run: (releaser, values) => {
+            const files = releaser
+                .export(values.out ?? 'dist', { profile: values.profile, formats: values.format })
+                .map((file) => path.relative(process.cwd(), file));
+
+            info('Generated files:', files.join('\n'));
+            console.log(files.map((file) => `  • ${file}`).join('\n') + '\n');
+            success('Exported {{0}} files.', null, String(files.length));
+        }
+    },
+    changelog: {
+        description: 'Rebuild CHANGELOG.md from the git history of package.json',
+        options: { force: { type: 'boolean', description: 'Overwrite the existing CHANGELOG.md' } },
+        run: (releaser, values) =>
+            success('CHANGELOG.md rebuilt with {{0}} versions.', null, String(releaser.changelog({ force: values.force })))
+    },
+    readme: {
+        description: 'Regenerate the extension table of README.md from extension-metadata.json',
+        options: {},
+        run: (releaser) => {
+            const missing = releaser.readme();
+
+            if (missing.length > 0) warning('Extensions without metadata in extension-metadata.json: {{0}}', null, missing.join(', '));
+            success('Updated the extension table of README.md.');
+        }
+    },
+    catalog: {
+        description: 'List the deprecated extensions, or refresh their Marketplace status from Marketplace exports',
+        arguments: '[<extensionquery.json | marketplace.json>...]',
+        options: {
+            refresh: { type: 'boolean', description: 'Refresh extension-metadata.json from the Marketplace exports given as arguments' }
+        },
+        run: (releaser, values, positionals) => {
+            if (!values.refresh) {
+                if (positionals.length > 0) {
+                    throw new LoggerErrorHandler(
+                        `Unexpected arguments: ${positionals.join(' ')}`,
+                        'Use --refresh to refresh from exports.'
+                    );
+                }
+
+                const deprecated = releaser.deprecated();
+
+                for (const ext of deprecated) {
+                    if (ext.replacement) warning('{{0}} is deprecated, use {{1}} instead.', null, ext.id, ext.replacement);
+                    else warning('{{0}} is deprecated.', null, ext.id);
+                }
+
+                return info('{{0}} deprecated extension(s) in extension-metadata.json.', null, String(deprecated.length));
+            }
+
+            if (positionals.length === 0) {
+                throw new LoggerErrorHandler(
+                    'Missing Marketplace export',
+                    `Usage: ${USAGE} catalog --refresh <extensionquery.json> [marketplace.json]`
+                );
+            }
+
+            const { refreshed, missing } = releaser.refreshCatalog(positionals);
+
+            if (missing.length > 0) {
+                warning('Not found in the Marketplace export, unpublished or not exported: {{0}}', null, missing.join(', '));
+            }
+
+            success(
+                'Refreshed {{0}} of {{1}} extensions in extension-metadata.json.',
+                null,
+                String(refreshed.length),
+                String(refreshed.length + missing.length)
+            );
+        }
+    },
+    logs: {
+        description: 'Print the structured logs of the last run, or of another one, or list the runs',
+        options: {
+            run: { type: 'string', value: '<id>', description: 'The run to print, by ID or ID prefix (default: the last one)' },
+            level: {
+                type: 'string',
+                multiple: true,
+                value: '<level>',
+                description: `Only print the events of this level: ${Object.keys(LEVEL_COLORS).join(', ')} (repeatable)`
+            },
+            script: { type: 'string', value: '<name>', description: 'Only consider the runs of this script, e.g. cli' },
+            list: { type: 'boolean', description: 'List the runs instead of printing the events of one' },
+            json: { type: 'boolean', description: 'Print the events as JSON Lines' }
+        },
+        run: (releaser, values, positionals, config) => {
+            const logDir = Logger.getLogDir(import.meta.url, config.logDir);
+            const unknownLevels = (values.level ?? []).filter((level) => !(level in LEVEL_COLORS));
+
+            if (unknownLevels.length > 0) {
+                throw new LoggerErrorHandler(
+                    `Unknown levels: ${unknownLevels.join(', ')}`,
+                    `Levels: ${Object.keys(LEVEL_COLORS).join(', ')}`
+                );
+            }
+
+            if (values.list) return listLogRuns(logDir, values.script);
+
+            printLogs(logDir, {
+                runId: values.run,
+                levels: values.level,
+                script: values.script,
+                verbose: values.verbose,
+                json: values.json
+            });
+        }
+    }
+};
+
+/**
+ * Formats a list of options for the help text
+ *
+ * @param {Record<string, CliOption>} options - The options
+ * @returns {string} The formatted options
+ */
+function formatOptions(options) {
+    const rows = Object.entries(options).map(([name, option]) => [
+        `${option.short ? `-${option.short}, ` : '    '}--${name}${option.value ? ` ${option.value}` : ''}`,
+        option.description
+    ]);
+    const width = Math.max(...rows.map(([flags]) => flags.length));
+
+    return rows.map(([flags, description]) => `  ${flags.padEnd(width)}  ${description}`).join('\n');
+}
+
+/**
+ * Gets the help text of the CLI or of a command
+ *
+ * @param {string?} [command = null] - The command
+ * @returns {string} The help text
+ */
+function getHelp(command = null) {
+    if (!command) {
+        const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+        const commands = Object.entries(COMMANDS).map(([name, { description }]) => `  ${name.padEnd(width)}  ${description}`);
+
+        return [
+            `${colorize('bold', 'Usage:')} ${USAGE} <command> [options]`,
+            '',
+            colorize('bold', 'Commands:'),
+            ...commands,
+            '',
+            colorize('bold', 'Options:'),
+            formatOptions(GLOBAL_OPTIONS),
+            '',
+            `Run \`${USAGE} <command> --help\` for the options of a command.`
+        ].join('\n');
+    }
+
+    const { description, arguments: positionals, options } = COMMANDS[command];
+
+    return [
+        `${colorize('bold', 'Usage:')} ${USAGE} ${command}${positionals ? ` ${positionals}` : ''} [options]`,
+        '',
+        description + '.',
+        '',
+        colorize('bold', 'Options:'),
+        formatOptions({ ...options, ...GLOBAL_OPTIONS })
+    ].join('\n');
+}
+
+/**
+ * Runs the CLI. The release config of the current directory is loaded before running the command.
+ *
+ * @param {string[]} args - The command line arguments, without the node binary and the script
+ * @returns {Promise<void>}
+ */
+async function runCli(args) {
+    const command = args[0] && !args[0].startsWith('-') ? args[0] : null;
+
+    try {
+        if (command !== null && !(command in COMMANDS)) {
+            throw new LoggerErrorHandler(`Unknown command: ${command}`, `Commands: ${Object.keys(COMMANDS).join(', ')}`);
+        }
+
+        const help = command ? `${USAGE} ${command} --help` : `${USAGE} --help`;
+        let values;
+        let positionals;
+
+        try {
+            ({ values, positionals } = parseArgs({
+                args: command ? args.slice(1) : args,
+                options: { ...GLOBAL_OPTIONS, ...(command ? COMMANDS[command].options : {}) },
+                allowPositionals: Boolean(command && COMMANDS[command].arguments),
+                strict: true
+            }));
+        } catch (err) {
+            throw new LoggerErrorHandler(err.message, `Run \`${help}\` for the available options.`);
+        }
+
+        if (values['no-color']) setColorEnabled(false);
+
+        if (values.help || command === null) {
+            console.log(getHelp(command));
+            if (!values.help) process.exitCode = 1;
+            return;
+        }
+
+        if (values.verbose && values.quiet) throw new LoggerErrorHandler('The --verbose and --quiet options cannot be used together');
+
+        const config = await loadReleaseConfig();
+
+        logger.configure({
+            verbose: values.verbose,
+            quiet: values.quiet,
+            logFile: values['log-file'],
+            logDir: config.logDir,
+            jsonLog: config.jsonLog
+        });
+        logger.setTheme(config.theme);
+        setupPrompts(values);
+
+        COMMANDS[command].run(createReleaser({ config, logger }), values, positionals, config);
+    } catch (err) {
+        if (err instanceof ReleaseAbortedError) return info(err.message, err.verboseContent);
+
+        LoggerErrorHandler.handle(err.message, err, error);
+    }
+}
+
+if (isMainModule(import.meta.url)) {
+    await runCli(process.argv.slice(2));
+}
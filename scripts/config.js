@@ -0,0 +1,256 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { readJsonFile, STYLES } from './utils.js';
+import { LoggerErrorHandler } from './logger.js';
+import { MESSAGE_PLACEHOLDERS } from './changeset.js';
+import { DEFAULT_RELEASE_BRANCH, PREFLIGHT_CHECKS } from './preflight.js';
+
+/**
+ * The config files of the release tooling, looked up in the project root. Only one of them may exist.
+ */
+const RELEASE_CONFIG_FILES = ['.releaserc.json', 'release.config.js'];
+
+/**
+ * The level of a version bump
+ * @typedef {import('./semver.js').BumpLevel} BumpLevel
+ */
+
+/**
+ * The name of a preflight check
+ * @typedef {import('./preflight.js').PreflightCheck} PreflightCheck
+ */
+
+/**
+ * The type of a log message
+ * @typedef {import('./logger.js').LogType} LogType
+ */
+
+/**
+ * The styles of the label, the message and the arguments of a log type
+ * @typedef {import('./logger.js').LogStyle} LogStyle
+ */
+
+/**
+ * The settings of the release tooling.
+ * `extensionFiles` are the extension files of the default extension pack, relative to the project root.
+ * `extensionsJson` is the path of the recommendations the packs are built from, relative to the project root.
+ * `messages.release`, `messages.body` and `messages.footer` are the templates of the commit of an extension pack, where
+ * `{{scope}}` is replaced by `messages.scope` or the ID of the profile, `{{version}}` and `{{previousVersion}}` by the
+ * versions, `{{name}}` by the name of the pack, `{{added}}` and `{{removed}}` by the extensions, `{{extensions}}` by the
+ * new extension list and `{{files}}` by the changed extension files. Paragraphs whose placeholders are all empty are left out.
+ * `messages.projectFiles` is the subject of the commit of the project files.
+ * `bumpRules` are the bump levels of a release that removes extensions, adds extensions or only changes extension files.
+ * The highest level of the changes made is used.
+ * `catalog.refuseDeprecated` stops the release if a pack ships an extension that extension-metadata.json marks as deprecated,
+ * instead of only warning.
+ * `preflight.branch` is the branch releases are made from and `preflight.skip` the preflight checks skipped by default.
+ * The `--branch` and `--skip-check` options override them.
+ * `logDir` is the directory of the logs, relative to the project root, or null for the `.tmp` directory next to the scripts.
+ * `jsonLog` also writes every event to a JSON Lines log next to the text log, read by `node scripts/cli.js logs`.
+ * `theme` overrides the styles of the label, the message and the arguments of each log type, e.g.
+ * `{ "error": { "label": ["bold", "red"] } }`.
+ * `vsce` is the vsce command that packages and publishes the packs, or the path of a `.js` script run with Node.js instead,
+ * relative to the project root (e.g. a fake vsce to rehearse a release offline).
+ * @typedef {{
+ *     extensionFiles: string[],
+ *     extensionsJson: string,
+ *     messages: { scope: string, release: string, body: string, footer: string, projectFiles: string },
+ *     bumpRules: { removed: BumpLevel, added: BumpLevel, changed: BumpLevel },
+ *     catalog: { refuseDeprecated: boolean },
+ *     preflight: { branch: string, skip: PreflightCheck[] },
+ *     logDir: string | null,
+ *     jsonLog: boolean,
+ *     theme: Partial<Record<LogType, Partial<LogStyle>>>,
+ *     vsce: string
+ * }} ReleaseConfig
+ */
+
+/**
+ * The settings used for anything the config file does not set
+ * @type {ReleaseConfig}
+ */
+const DEFAULT_RELEASE_CONFIG = {
+    extensionFiles: ['.vscode/extensions.json', 'package.json', 'assets/icon_128.png', 'README.md', 'CHANGELOG.md'],
+    extensionsJson: '.vscode/extensions.json',
+    messages: {
+        scope: 'extension',
+        release: 'feat({{scope}}): Updates to v{{version}}',
+        body: '{{extensions}}\n\n{{files}}',
+        footer: '',
+        projectFiles: 'chore: Updated project files'
+    },
+    bumpRules: { removed: 'major', added: 'minor', changed: 'patch' },
+    catalog: { refuseDeprecated: false },
+    preflight: { branch: DEFAULT_RELEASE_BRANCH, skip: [] },
+    logDir: null,
+    jsonLog: false,
+    theme: {},
+    vsce: 'vsce'
+};
+
+/**
+ * The type of each style of a log type in the theme
+ */
+const LOG_STYLE_SCHEMA = { label: 'style', message: 'style', args: 'style' };
+
+/**
+ * The type of each setting of the config file. Nested objects are validated key by key.
+ */
+const RELEASE_CONFIG_SCHEMA = {
+    extensionFiles: 'string[]',
+    extensionsJson: 'string',
+    messages: { scope: 'string', release: 'string', body: 'text', footer: 'text', projectFiles: 'string' },
+    bumpRules: { removed: 'bump', added: 'bump', changed: 'bump' },
+    catalog: { refuseDeprecated: 'boolean' },
+    preflight: { branch: 'string', skip: 'check[]' },
+    logDir: 'string',
+    jsonLog: 'boolean',
+    theme: {
+        info: LOG_STYLE_SCHEMA,
+        success: LOG_STYLE_SCHEMA,
+        warning: LOG_STYLE_SCHEMA,
+        question: LOG_STYLE_SCHEMA,
+        error: LOG_STYLE_SCHEMA
+    },
+    vsce: 'string'
+};
+
+/**
+ * Checks a value against a schema type
+ *
+ * @param {unknown} value - The value
+ * @param {string} type - The schema type: `string`, `text` (a string that may be empty), `string[]`, `boolean`, `bump`,
+ * `check[]` (preflight check names) or `style` (a color or a text style, or a non-empty array of them)
+ * @returns {string | null} The expected type if the value does not match, null otherwise
+ */
+function checkSchemaType(value, type) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string' && value.trim() !== '' ? null : 'a non-empty string';
+        case 'text':
+            return typeof value === 'string' ? null : 'a string';
+        case 'string[]':
+            return Array.isArray(value) && value.length > 0 && value.every((item) => typeof item === 'string' && item.trim() !== '')
+                ? null
+                : 'a non-empty array of paths';
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'true or false';
+        case 'bump':
+            return ['major', 'minor', 'patch'].includes(value) ? null : 'one of major, minor, patch';
+        case 'check[]':
+            return Array.isArray(value) && value.every((item) => PREFLIGHT_CHECKS.includes(item))
+                ? null
+                : `an array of preflight checks: ${PREFLIGHT_CHECKS.join(', ')}`;
+        case 'style': {
+            const styles = Array.isArray(value) ? value : [value];
+
+            return styles.length > 0 && styles.every((item) => STYLES.includes(item))
+                ? null
+                : `a style or an array of styles: ${STYLES.join(', ')}`;
+        }
+    }
+}
+
+/**
+ * Validates the content of a config file against the schema, reporting every unknown key and invalid value
+ *
+ * @param {unknown} content - The content of the config file
+ * @param {Object} [schema = RELEASE_CONFIG_SCHEMA] - The schema of the content
+ * @param {string} [prefix = ''] - The path of the content in the config file, for the messages
+ * @returns {string[]} The errors found
+ */
+function validateReleaseConfig(content, schema = RELEASE_CONFIG_SCHEMA, prefix = '') {
+    if (typeof content !== 'object' || content === null || Array.isArray(content)) return [`"${prefix || 'config'}" must be an object`];
+
+    const errors = [];
+
+    for (const [key, value] of Object.entries(content)) {
+        const name = prefix + key;
+        const type = schema[key];
+
+        if (type === undefined) {
+            errors.push(`Unknown key "${name}". Expected one of: ${Object.keys(schema).join(', ')}`);
+        } else if (typeof type === 'object') {
+            errors.push(...validateReleaseConfig(value, type, `${name}.`));
+        } else {
+            const expected = checkSchemaType(value, type);
+            if (expected) errors.push(`"${name}" must be ${expected}`);
+        }
+    }
+
+    if (typeof content.messages?.release === 'string' && !content.messages.release.includes('{{version}}')) {
+        errors.push('"messages.release" must contain the {{version}} placeholder');
+    }
+
+    for (const key of ['release', 'body', 'footer']) {
+        const template = content.messages?.[key];
+        const unknown =
+            typeof template === 'string'
+                ? [...template.matchAll(/\{\{(\w+)\}\}/g)].filter(([, name]) => !MESSAGE_PLACEHOLDERS.includes(name))
+                : [];
+
+        if (unknown.length > 0) {
+            errors.push(
+                `Unknown placeholders in "messages.${key}": ${unknown.map(([match]) => match).join(', ')}. Expected any of: ${MESSAGE_PLACEHOLDERS.join(', ')}`
+            );
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Reads the content of a config file: the JSON of `.releaserc.json` or the default export of `release.config.js`
+ *
+ * @param {string} filePath - The path of the config file
+ * @returns {Promise<unknown>} The content of the config file
+ */
+async function readReleaseConfigFile(filePath) {
+    if (filePath.endsWith('.json')) return readJsonFile(filePath);
+
+    const module = await import(pathToFileURL(filePath).href);
+
+    if (!('default' in module)) throw new Error('The config must be the default export of the module');
+
+    return module.default;
+}
+
+/**
+ * Loads the config of the release tooling from the project root, with the defaults for anything it does not set
+ *
+ * @param {string} [cwd = process.cwd()] - The project root
+ * @returns {Promise<ReleaseConfig>} The config
+ * @throws {LoggerErrorHandler} If there are several config files, or if the config file is invalid
+ */
+async function loadReleaseConfig(cwd = process.cwd()) {
+    const files = RELEASE_CONFIG_FILES.map((file) => path.join(cwd, file)).filter((file) => fs.existsSync(file));
+
+    if (files.length === 0) return structuredClone(DEFAULT_RELEASE_CONFIG);
+    if (files.length > 1) throw new LoggerErrorHandler('Several release config files found', `Keep only one of: ${files.join(', ')}`);
+
+    let content;
+
+    try {
+        content = await readReleaseConfigFile(files[0]);
+    } catch (err) {
+        throw new LoggerErrorHandler(`Failed to read the release config: ${files[0]}`, err.message);
+    }
+
+    const errors = validateReleaseConfig(content);
+
+    if (errors.length > 0) {
+        throw new LoggerErrorHandler(`Invalid release config ${files[0]}:\n${errors.map((message) => `  • ${message}`).join('\n')}\n`);
+    }
+
+    return {
+        ...structuredClone(DEFAULT_RELEASE_CONFIG),
+        ...content,
+        messages: { ...DEFAULT_RELEASE_CONFIG.messages, ...content.messages },
+        bumpRules: { ...DEFAULT_RELEASE_CONFIG.bumpRules, ...content.bumpRules },
+        catalog: { ...DEFAULT_RELEASE_CONFIG.catalog, ...content.catalog },
+        preflight: { ...structuredClone(DEFAULT_RELEASE_CONFIG.preflight), ...content.preflight }
+    };
+}
+
+export { DEFAULT_RELEASE_CONFIG, loadReleaseConfig };
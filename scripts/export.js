@@ -0,0 +1,171 @@
+import fs from 'fs';
+import path from 'path';
+import { mergeExtensions, readJsonFile } from './utils.js';
+import { filterExtensionsByProfile, getProfileManifest, readProfiles } from './profiles.js';
+import { readExtensionRules } from './validate.js';
+import { LoggerErrorHandler } from './logger.js';
+
+/**
+ * The project to export from, with its config and the logger to use
+ * @typedef {Pick<import('./release.js').ReleaseContext, 'cwd' | 'config' | 'logger'>} ExportContext
+ */
+
+/**
+ * The extension list of a pack, ready to be exported
+ * @typedef {{
+ *     name: string,
+ *     displayName: string,
+ *     version: string,
+ *     extensions: string[]
+ * }} ExportData
+ */
+
+/**
+ * A function that renders the exported file of a format
+ * @typedef {(data: ExportData) => string} Exporter
+ */
+
+/**
+ * The supported export formats, with the name of the generated file and its renderer
+ * @type {Record<string, { file: (data: ExportData) => string, render: Exporter }>}
+ */
+const EXPORTERS = {
+    devcontainer: {
+        file: () => 'devcontainer.json',
+        render: (data) =>
+            `// Generated from ${data.name} v${data.version}. Merge it into your .devcontainer/devcontainer.json.\n` +
+            JSON.stringify({ customizations: { vscode: { extensions: data.extensions } } }, null, 4) +
+            '\n'
+    },
+    profile: {
+        file: (data) => `${data.name}.code-profile`,
+        render: (data) =>
+            JSON.stringify(
+                {
+                    name: `${data.displayName} v${data.version}`,
+                    extensions: JSON.stringify(data.extensions.map((id) => ({ identifier: { id } })))
+                },
+                null,
+                4
+            ) + '\n'
+    },
+    bash: {
+        file: () => 'install-extensions.sh',
+        render: (data) =>
+            [
+                '#!/usr/bin/env bash',
+                `# Installs the extensions of ${data.name} v${data.version}.`,
+                '# Set CODE to use another VS Code binary (e.g. CODE=code-insiders).',
+                'set -euo pipefail',
+                '',
+                'CODE="${CODE:-code}"',
+                'extensions=(',
+                ...data.extensions.map((ext) => `    ${ext}`),
+                ')',
+                '',
+                'for extension in "${extensions[@]}"; do',
+                '    "$CODE" --install-extension "$extension" --force',
+                'done',
+                ''
+            ].join('\n')
+    },
+    powershell: {
+        file: () => 'install-extensions.ps1',
+        render: (data) =>
+            [
+                `# Installs the extensions of ${data.name} v${data.version}.`,
+                '# Set $env:CODE to use another VS Code binary (e.g. code-insiders).',
+                "$ErrorActionPreference = 'Stop'",
+                '',
+                "$Code = if ($env:CODE) { $env:CODE } else { 'code' }",
+                '$Extensions = @(',
+                data.extensions.map((ext) => `    '${ext}'`).join(',\n'),
+                ')',
+                '',
+                'foreach ($Extension in $Extensions) {',
+                '    & $Code --install-extension $Extension --force',
+                '    if ($LASTEXITCODE -ne 0) { throw "Failed to install $Extension" }',
+                '}',
+                ''
+            ].join('\n')
+    }
+};
+
+/**
+ * Gets the merged extension list and the version of the default extension pack or of a profile
+ *
+ * @param {ExportContext} ctx - The context of the export
+ * @param {string?} [profileId = null] - The ID of the profile. If not provided, the default extension pack is used
+ * @returns {ExportData} The data to export
+ */
+function getExportData(ctx, profileId = null) {
+    try {
+        const rootPackageJson = readJsonFile(path.join(ctx.cwd, 'package.json'));
+        const { recommendations, unwantedRecommendations } = readJsonFile(path.join(ctx.cwd, ctx.config.extensionsJson));
+        const { pinned } = readExtensionRules(path.join(ctx.cwd, 'extension-rules.json'));
+        const profile = profileId ? readProfiles([profileId], ctx.cwd)[0] : null;
+        const packageJson = profile ? getProfileManifest(profile, rootPackageJson) : rootPackageJson;
+        const extensions = mergeExtensions(
+            packageJson.extensionPack,
+            profile ? filterExtensionsByProfile(recommendations, profile, ctx.cwd) : recommendations,
+            { pinned: profile ? filterExtensionsByProfile(pinned, profile, ctx.cwd) : pinned, unwanted: unwantedRecommendations }
+        );
+
+        if (JSON.stringify(extensions) !== JSON.stringify([...packageJson.extensionPack].sort())) {
+            ctx.logger.warning(
+                'The recommendations have changes not released in v{{0}} yet.',
+                'Run `pnpm ext:update` to update the version.',
+                packageJson.version
+            );
+        }
+
+        return { name: packageJson.name, displayName: packageJson.displayName, version: packageJson.version, extensions };
+    } catch (err) {
+        throw new LoggerErrorHandler('Failed to get the extension list to export', err.message);
+    }
+}
+
+/**
+ * Exports the extension list of a pack to devcontainer, VS Code profile and install script formats
+ *
+ * @param {ExportContext} ctx - The context of the export
+ * @param {string} outDir - The directory where the files are generated, in a subdirectory named after the pack.
+ * A relative path is resolved from the project root.
+ * @param {{ profile?: string, formats?: string[] }} [options = {}] - The profile to export and the formats to generate
+ * @returns {string[]} The paths of the generated files
+ */
+function exportExtensionPack(ctx, outDir, options = {}) {
+    const formats = options.formats ?? Object.keys(EXPORTERS);
+    const unknownFormats = formats.filter((format) => !(format in EXPORTERS));
+
+    if (unknownFormats.length > 0) {
+        throw new LoggerErrorHandler(
+            `Unknown export formats: ${unknownFormats.join(', ')}`,
+            `Supported formats: ${Object.keys(EXPORTERS).join(', ')}`
+        );
+    }
+
+    const data = getExportData(ctx, options.profile);
+
+    try {
+        const dir = path.join(path.resolve(ctx.cwd, outDir), data.name);
+        const files = [];
+
+        fs.mkdirSync(dir, { recursive: true });
+
+        for (const format of formats) {
+            const filePath = path.join(dir, EXPORTERS[format].file(data));
+
+            fs.writeFileSync(filePath, EXPORTERS[format].render(data));
+            if (format === 'bash') fs.chmodSync(filePath, 0o755);
+
+            files.push(filePath);
+        }
+
+        return files;
+    } catch (err) {
+        throw new LoggerErrorHandler('Failed to export the extension pack', err.message);
+    }
+}
+
+export { EXPORTERS, exportExtensionPack };
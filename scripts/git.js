@@ -0,0 +1,105 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { LoggerErrorHandler } from './logger.js';
+
+/**
+ * A git client bound to a working tree
+ * @typedef {{
+ *     cwd: string,
+ *     exec: (args: string[]) => string,
+ *     commit: (message: string) => string
+ * }} Git
+ */
+
+/**
+ * An error thrown when a git command fails, with the command, its exit code and what it wrote to stderr
+ */
+class GitCommandError extends LoggerErrorHandler {
+    /** @type {string} */
+    command;
+
+    /** @type {number | null} */
+    exitCode;
+
+    /** @type {string} */
+    stderr;
+
+    /**
+     * @param {string[]} args - The arguments of the git command
+     * @param {Error & { status?: number | null, stderr?: string }} error - The error thrown by the child process
+     */
+    constructor(args, error) {
+        const command = formatGitCommand(args);
+        const exitCode = error.status ?? null;
+        const stderr = (error.stderr ?? '').trim();
+
+        super(
+            'Git command failed',
+            [`Command: ${command}`, `Exit code: ${exitCode ?? 'none'}`, `Error: ${stderr || error.message}`].join('\n')
+        );
+        this.name = 'GitCommandError';
+        this.command = command;
+        this.exitCode = exitCode;
+        this.stderr = stderr;
+    }
+}
+
+/**
+ * Formats a git command for logs, quoting the arguments that would be split or expanded by a shell
+ *
+ * @param {string[]} args - The arguments of the git command
+ * @returns {string} The command
+ */
+function formatGitCommand(args) {
+    return ['git', ...args].map((arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`)).join(' ');
+}
+
+/**
+ * Executes a git command. The arguments are passed to git as is, without a shell.
+ *
+ * @param {string[]} args - The arguments of the git command, e.g. `['add', '--', file]`
+ * @param {string} [cwd = process.cwd()] - The working tree to run the command in
+ * @returns {string} The output of the command
+ * @throws {GitCommandError} If git cannot be run or exits with a non-zero code
+ */
+function execGitCommand(args, cwd = process.cwd()) {
+    try {
+        return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+    } catch (error) {
+        throw new GitCommandError(args, error);
+    }
+}
+
+/**
+ * Commits the staged changes. The message is read by git from a temporary file, so it is kept exactly as given.
+ *
+ * @param {string} message - The commit message
+ * @param {string} [cwd = process.cwd()] - The working tree to commit in
+ * @returns {string} The output of the command
+ * @throws {GitCommandError} If the commit fails
+ */
+function gitCommit(message, cwd = process.cwd()) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'release-commit-'));
+    const messagePath = path.join(dir, 'COMMIT_EDITMSG');
+
+    try {
+        fs.writeFileSync(messagePath, message);
+        return execGitCommand(['commit', '-F', messagePath], cwd);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Creates a git client bound to a working tree
+ *
+ * @param {string} [cwd = process.cwd()] - The working tree
+ * @returns {Git} The git client
+ */
+function createGit(cwd = process.cwd()) {
+    return { cwd, exec: (args) => execGitCommand(args, cwd), commit: (message) => gitCommit(message, cwd) };
+}
+
+export { GitCommandError, createGit, execGitCommand, gitCommit };
@@ -0,0 +1,219 @@
+import { colorize } from './utils.js';
+import { createChangeSet, renderMarkdownSummary, renderTextSummary } from './changeset.js';
+import { renderChangelogSection } from './changelog.js';
+import { LoggerErrorHandler } from './logger.js';
+
+/**
+ * The output formats of the history and of the comparisons
+ */
+const HISTORY_FORMATS = ['text', 'json', 'markdown'];
+
+/**
+ * The output format of the history and of the comparisons
+ * @typedef {'text' | 'json' | 'markdown'} HistoryFormat
+ */
+
+/**
+ * A git client bound to a working tree
+ * @typedef {import('./git.js').Git} Git
+ */
+
+/**
+ * The changes a release makes to an extension pack
+ * @typedef {import('./changeset.js').ChangeSet} ChangeSet
+ */
+
+/**
+ * The manifest of an extension pack at a git revision
+ * @typedef {{
+ *     hash: string,
+ *     date: string,
+ *     name: string,
+ *     version: string,
+ *     extensions: string[]
+ * }} ManifestRevision
+ */
+
+/**
+ * A change to the extension list in the history of a pack, at the revision that made it
+ * @typedef {ChangeSet & { hash: string, date: string }} HistoryEntry
+ */
+
+/**
+ * The changes between two versions or refs of a pack
+ * @typedef {ChangeSet & { from: string, to: string }} PackComparison
+ */
+
+/**
+ * Reads the manifest of an extension pack at a git revision
+ *
+ * @param {Git} git - The git client of the project
+ * @param {string} ref - The revision
+ * @param {string} manifestPath - The path of the manifest, relative to the project root
+ * @returns {Omit<ManifestRevision, 'hash' | 'date'>} The manifest
+ */
+function readManifestAt(git, ref, manifestPath) {
+    const manifest = JSON.parse(git.exec(['show', `${ref}:./${manifestPath}`]));
+
+    return { name: manifest.name, version: manifest.version, extensions: manifest.extensionPack ?? [] };
+}
+
+/**
+ * Walks the git revisions of the manifest of an extension pack, oldest first.
+ * Only the revisions that change the version or the extension list are kept, and the ones with an invalid manifest are skipped.
+ *
+ * @param {Git} git - The git client of the project
+ * @param {string} [manifestPath = 'package.json'] - The path of the manifest, relative to the project root
+ * @returns {ManifestRevision[]} The revisions
+ */
+function readManifestRevisions(git, manifestPath = 'package.json') {
+    const commits = git
+        .exec(['log', '--reverse', '--format=%H %cs', '--', manifestPath])
+        .split('\n')
+        .filter((line) => line.trim() !== '');
+    const revisions = [];
+
+    for (const commit of commits) {
+        const [hash, date] = commit.split(' ');
+        let manifest;
+
+        try {
+            manifest = readManifestAt(git, hash, manifestPath);
+        } catch {
+            continue;
+        }
+
+        const last = revisions[revisions.length - 1];
+        const unchanged = last?.version === manifest.version && JSON.stringify(last.extensions) === JSON.stringify(manifest.extensions);
+
+        if (!unchanged) revisions.push({ hash, date, ...manifest });
+    }
+
+    return revisions;
+}
+
+/**
+ * Gets when each extension was added to or removed from a pack, newest first
+ *
+ * @param {ManifestRevision[]} revisions - The revisions of the manifest of the pack, oldest first
+ * @param {string} scope - The scope of the pack: `extension` or the ID of the profile
+ * @returns {HistoryEntry[]} The changes to the extension list
+ */
+function getExtensionTimeline(revisions, scope) {
+    return revisions
+        .map((revision, index) => {
+            const previous = revisions[index - 1];
+            const changeSet = createChangeSet({
+                name: revision.name,
+                scope,
+                previousVersion: previous?.version ?? revision.version,
+                version: revision.version,
+                currentExtensions: previous?.extensions ?? [],
+                updatedExtensions: revision.extensions
+            });
+
+            return { hash: revision.hash, date: revision.date, ...changeSet };
+        })
+        .filter((entry) => entry.added.length + entry.removed.length > 0)
+        .reverse();
+}
+
+/**
+ * Resolves a version of a pack (`3.1.0` or `v3.1.0`) or a git ref to the manifest of the pack at that point.
+ * A version resolves to the last revision that has it.
+ *
+ * @param {Git} git - The git client of the project
+ * @param {ManifestRevision[]} revisions - The revisions of the manifest, oldest first
+ * @param {string} versionOrRef - The version or the git ref
+ * @param {string} manifestPath - The path of the manifest, relative to the project root
+ * @returns {ManifestRevision} The manifest at that point
+ * @throws {LoggerErrorHandler} If it is neither a known version nor a ref where the manifest exists
+ */
+function resolveManifestRevision(git, revisions, versionOrRef, manifestPath) {
+    const version = versionOrRef.replace(/^v(?=\d)/, '');
+    const matches = revisions.filter((revision) => revision.version === version);
+
+    if (matches.length > 0) return matches[matches.length - 1];
+
+    let hash;
+
+    try {
+        hash = git.exec(['rev-parse', '--verify', '--quiet', `${versionOrRef}^{commit}`]).trim();
+    } catch {
+        throw new LoggerErrorHandler(
+            `Unknown version or ref: ${versionOrRef}`,
+            `Versions of ${manifestPath}: ${[...new Set(revisions.map((revision) => revision.version))].join(', ')}`
+        );
+    }
+
+    try {
+        return { hash, date: git.exec(['show', '-s', '--format=%cs', hash]).trim(), ...readManifestAt(git, hash, manifestPath) };
+    } catch (err) {
+        throw new LoggerErrorHandler(`Failed to read ${manifestPath} at ${versionOrRef}`, err.message);
+    }
+}
+
+/**
+ * Compares the extension lists of a pack at two versions or refs
+ *
+ * @param {Git} git - The git client of the project
+ * @param {string} from - The version or ref to compare from
+ * @param {string} to - The version or ref to compare to
+ * @param {string} [manifestPath = 'package.json'] - The path of the manifest, relative to the project root
+ * @param {string} [scope = 'extension'] - The scope of the pack: `extension` or the ID of the profile
+ * @returns {PackComparison} The changes from `from` to `to`
+ */
+function comparePackRevisions(git, from, to, manifestPath = 'package.json', scope = 'extension') {
+    const revisions = readManifestRevisions(git, manifestPath);
+    const [fromRevision, toRevision] = [from, to].map((item) => resolveManifestRevision(git, revisions, item, manifestPath));
+    const changeSet = createChangeSet({
+        name: toRevision.name,
+        scope,
+        previousVersion: fromRevision.version,
+        version: toRevision.version,
+        currentExtensions: fromRevision.extensions,
+        updatedExtensions: toRevision.extensions
+    });
+
+    return { from, to, ...changeSet };
+}
+
+/**
+ * Renders the history of a pack
+ *
+ * @param {HistoryEntry[]} entries - The changes to the extension list, newest first
+ * @param {HistoryFormat} [format = 'text'] - The output format
+ * @returns {string} The rendered history
+ */
+function renderHistory(entries, format = 'text') {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(entries, null, 4);
+        case 'markdown':
+            return entries.map((entry) => renderChangelogSection({ ...entry, files: [] })).join('\n');
+        default:
+            return entries
+                .map((entry) => `${colorize('blue', entry.hash.slice(0, 7))} ${entry.date} ${renderTextSummary(entry)}`)
+                .join('\n');
+    }
+}
+
+/**
+ * Renders the comparison of two versions or refs of a pack
+ *
+ * @param {PackComparison} comparison - The changes between the two versions or refs
+ * @param {HistoryFormat} [format = 'text'] - The output format
+ * @returns {string} The rendered comparison
+ */
+function renderComparison(comparison, format = 'text') {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(comparison, null, 4);
+        case 'markdown':
+            return renderMarkdownSummary(comparison);
+        default:
+            return `${colorize('white', `${comparison.from}..${comparison.to}`)}\n${renderTextSummary(comparison)}`;
+    }
+}
+
+export { HISTORY_FORMATS, comparePackRevisions, getExtensionTimeline, readManifestRevisions, renderComparison, renderHistory };
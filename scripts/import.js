@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import { colorize, getExtensionListChanges, readJsonFile } from './utils.js';
+import { validateExtensions } from './validate.js';
+import { setJsoncProperties } from './jsonc.js';
+import { LoggerErrorHandler } from './logger.js';
+
+/**
+ * The project to import into, with its config, and the prompts and logger to use
+ * @typedef {Pick<import('./release.js').ReleaseContext, 'cwd' | 'config' | 'logger'> & {
+ *     prompt: Pick<import('./release.js').Prompt, 'confirm'>
+ * }} ImportContext
+ */
+
+/**
+ * Reads the extension IDs from a `code --list-extensions` output (with or without `--show-versions`)
+ *
+ * @param {string} content - The content of the file
+ * @returns {string[]} The extension IDs
+ */
+function parseExtensionList(content) {
+    return content
+        .split('\n')
+        .map((line) => line.trim().replace(/@.*$/, ''))
+        .filter((line) => line !== '' && !line.startsWith('#'));
+}
+
+/**
+ * Reads the enabled extension IDs from a VS Code profile export (`.code-profile`)
+ *
+ * @param {string} content - The content of the file
+ * @returns {string[]} The extension IDs
+ */
+function parseCodeProfile(content) {
+    const profile = JSON.parse(content);
+    const extensions = typeof profile.extensions === 'string' ? JSON.parse(profile.extensions) : profile.extensions;
+
+    if (!Array.isArray(extensions)) throw new Error('The profile does not contain an extension list');
+
+    return extensions.filter((ext) => !ext.disabled).map((ext) => ext.identifier.id);
+}
+
+/**
+ * Reads the extension IDs from an installed setup (`code --list-extensions` output) or a VS Code profile export
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {string[]} The extension IDs, lowercased and without duplicates
+ */
+function readImportedExtensions(filePath) {
+    try {
+        const content = fs.readFileSync(filePath, 'utf8');
+        const extensions = filePath.endsWith('.code-profile') ? parseCodeProfile(content) : parseExtensionList(content);
+
+        return [...new Set(extensions.map((ext) => ext.toLowerCase()))];
+    } catch (err) {
+        throw new LoggerErrorHandler(`Failed to read extensions from ${filePath}`, err.message);
+    }
+}
+
+/**
+ * Asks which of the added and removed extensions should be applied to the recommendations
+ *
+ * @param {ImportContext} ctx - The context of the import
+ * @param {string[]} added - The extensions found only in the imported setup
+ * @param {string[]} removed - The extensions found only in the recommendations
+ * @param {boolean} keepRemoved - If true, no recommendation is removed
+ * @returns {{ add: string[], remove: string[] }} The chosen changes
+ */
+function chooseChanges(ctx, added, removed, keepRemoved) {
+    const ask = (message, name) => ctx.prompt.confirm(message, ctx.logger.question, name);
+    const add = added.filter((ext) => ask(`Add ${colorize('green', ext)} to the recommendations?`, `importAdd:${ext}`));
+    const remove = keepRemoved
+        ? []
+        : removed.filter((ext) => ask(`Remove ${colorize('red', ext)} from the recommendations?`, `importRemove:${ext}`));
+
+    return { add, remove };
+}
+
+/**
+ * Imports the extensions of an installed setup or a VS Code profile export into the recommendations of the project
+ *
+ * @param {ImportContext} ctx - The context of the import
+ * @param {string} filePath - Path to the `code --list-extensions` output or to the `.code-profile` file, relative to the project root
+ * @param {{ keepRemoved?: boolean }} [options = {}] - `keepRemoved` only adds extensions, without removing any recommendation
+ */
+function importExtensions(ctx, filePath, options = {}) {
+    try {
+        const extensionsJsonFile = ctx.config.extensionsJson;
+        const extensionsJsonPath = path.join(ctx.cwd, extensionsJsonFile);
+        const extensionsJson = readJsonFile(extensionsJsonPath);
+        const recommendations = extensionsJson.recommendations ?? [];
+        const imported = readImportedExtensions(path.resolve(ctx.cwd, filePath));
+        const { errors } = validateExtensions(imported, { conflicts: [], pickOne: [] });
+
+        if (errors.length > 0) {
+            for (const message of errors) ctx.logger.error(message);
+            throw new LoggerErrorHandler('The imported extension list is invalid', `${errors.length} error(s) found in ${filePath}.`);
+        }
+
+        const { added, removed, kept } = getExtensionListChanges(
+            recommendations.map((ext) => ext.toLowerCase()),
+            imported
+        );
+
+        if (added.length === 0 && (removed.length === 0 || options.keepRemoved)) {
+            return ctx.logger.info('The recommendations are already up to date with {{0}}.', null, filePath);
+        }
+
+        const changes = [...added.map((ext) => colorize('green', `  + ${ext}`)), ...removed.map((ext) => colorize('red', `  - ${ext}`))];
+
+        ctx.logger.info('Changes found in {{0}} ({{1}} kept):', null, filePath, String(kept.length));
+        console.log(changes.join('\n') + '\n');
+
+        const { add, remove } = chooseChanges(ctx, added, removed, options.keepRemoved);
+
+        if (add.length === 0 && remove.length === 0) return ctx.logger.info('No changes applied.');
+
+        extensionsJson.recommendations = [...recommendations.filter((ext) => !remove.includes(ext.toLowerCase())), ...add];
+        fs.writeFileSync(
+            extensionsJsonPath,
+            setJsoncProperties(fs.readFileSync(extensionsJsonPath, 'utf8'), { recommendations: extensionsJson.recommendations })
+        );
+
+        ctx.logger.success(
+            'Updated {{0}}: {{1}} added, {{2}} removed.',
+            null,
+            extensionsJsonFile,
+            String(add.length),
+            String(remove.length)
+        );
+    } catch (err) {
+        throw new LoggerErrorHandler('Failed to import extensions', err.message);
+    }
+}
+
+export { importExtensions };
@@ -0,0 +1,192 @@
+/**
+ * A parsed JSONC value, with its position in the text
+ * @typedef {{
+ *     value: unknown,
+ *     start: number,
+ *     end: number,
+ *     members?: JsoncMember[]
+ * }} JsoncNode
+ */
+
+/**
+ * A member of a parsed JSONC object
+ * @typedef {{
+ *     key: string,
+ *     keyStart: number,
+ *     node: JsoncNode
+ * }} JsoncMember
+ */
+
+/**
+ * Parses JSON with comments (`//` and `/* *\/`) and trailing commas, as accepted by VS Code in its settings files
+ *
+ * @param {string} text - The text to parse
+ * @returns {JsoncNode} The root node
+ */
+function parseJsoncTree(text) {
+    let pos = 0;
+
+    const fail = (message) => {
+        const lines = text.slice(0, pos).split('\n');
+        throw new SyntaxError(`${message} at line ${lines.length}, column ${lines[lines.length - 1].length + 1}`);
+    };
+
+    const skipTrivia = () => {
+        while (pos < text.length) {
+            if (/\s/.test(text[pos]) || text[pos] === '\uFEFF') {
+                pos++;
+            } else if (text.startsWith('//', pos)) {
+                const end = text.indexOf('\n', pos);
+                pos = end === -1 ? text.length : end + 1;
+            } else if (text.startsWith('/*', pos)) {
+                const end = text.indexOf('*/', pos + 2);
+                if (end === -1) fail('Unterminated block comment');
+                pos = end + 2;
+            } else {
+                break;
+            }
+        }
+    };
+
+    const expect = (char) => {
+        skipTrivia();
+        if (text[pos] !== char) fail(pos < text.length ? `Expected "${char}" but found "${text[pos]}"` : `Expected "${char}"`);
+        pos++;
+    };
+
+    const parseString = () => {
+        const match = /^"(?:[^"\\\n]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/.exec(text.slice(pos));
+        if (!match) fail('Invalid string');
+
+        const start = pos;
+        pos += match[0].length;
+
+        return { value: JSON.parse(match[0]), start, end: pos };
+    };
+
+    const parseLiteral = () => {
+        const match = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(pos));
+        if (!match) fail(pos < text.length ? `Unexpected "${text[pos]}"` : 'Unexpected end of input');
+
+        const start = pos;
+        pos += match[0].length;
+
+        return { value: JSON.parse(match[0]), start, end: pos };
+    };
+
+    const parseList = (close, parseItem) => {
+        pos++;
+        skipTrivia();
+
+        while (text[pos] !== close) {
+            parseItem();
+            skipTrivia();
+
+            if (text[pos] === ',') {
+                pos++;
+                skipTrivia();
+            } else if (text[pos] !== close) {
+                fail(`Expected "," or "${close}"`);
+            }
+        }
+
+        pos++;
+    };
+
+    const parseValue = () => {
+        skipTrivia();
+        const start = pos;
+
+        if (text[pos] === '{') {
+            const value = {};
+            const members = [];
+
+            parseList('}', () => {
+                if (text[pos] !== '"') fail('Expected a property name');
+
+                const key = parseString();
+                expect(':');
+
+                const node = parseValue();
+                value[key.value] = node.value;
+                members.push({ key: key.value, keyStart: key.start, node });
+            });
+
+            return { value, start, end: pos, members };
+        }
+
+        if (text[pos] === '[') {
+            const value = [];
+
+            parseList(']', () => value.push(parseValue().value));
+
+            return { value, start, end: pos };
+        }
+
+        return text[pos] === '"' ? parseString() : parseLiteral();
+    };
+
+    const root = parseValue();
+
+    skipTrivia();
+    if (pos < text.length) fail(`Unexpected "${text[pos]}"`);
+
+    return root;
+}
+
+/**
+ * Parses JSON with comments and trailing commas
+ *
+ * @param {string} text - The text to parse
+ * @returns {any} The parsed value
+ */
+function parseJsonc(text) {
+    return parseJsoncTree(text).value;
+}
+
+/**
+ * Sets top-level properties of a JSONC object in place.
+ * Only the values of the given properties are rewritten, so comments, key order, indentation and the final newline are kept.
+ * Missing properties are appended to the object.
+ *
+ * @param {string} text - The JSONC text of an object
+ * @param {Record<string, unknown>} properties - The properties to set
+ * @returns {string} The updated text
+ */
+function setJsoncProperties(text, properties) {
+    const root = parseJsoncTree(text);
+
+    if (!root.members) throw new Error('The root value is not an object');
+
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const indent = /\n([ \t]+)["/]/.exec(text)?.[1] ?? '    ';
+    const lineIndent = (index) => /^[ \t]*/.exec(text.slice(text.lastIndexOf('\n', index - 1) + 1, index))[0];
+    const format = (value, baseIndent) =>
+        JSON.stringify(value, null, indent)
+            .split('\n')
+            .join(eol + baseIndent);
+
+    const edits = [];
+    const missing = [];
+
+    for (const [key, value] of Object.entries(properties)) {
+        const member = root.members.find((item) => item.key === key);
+
+        if (member) edits.push({ start: member.node.start, end: member.node.end, content: format(value, lineIndent(member.keyStart)) });
+        else missing.push([key, value]);
+    }
+
+    if (missing.length > 0) {
+        const last = root.members[root.members.length - 1];
+        const at = last ? last.node.end : root.start + 1;
+        const content = missing.map(([key, value]) => `${eol}${indent}${JSON.stringify(key)}: ${format(value, indent)}`).join(',');
+
+        edits.push({ start: at, end: at, content: (last ? ',' : '') + content + (last ? '' : eol) });
+    }
+
+    return edits
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, edit) => result.slice(0, edit.start) + edit.content + result.slice(edit.end), text);
+}
+
+export { parseJsonc, setJsoncProperties };
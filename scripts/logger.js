@@ -1,4 +1,5 @@
 import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
 import path from 'path';
 import fs from 'fs';
 import { colorize, removeANSI, isFileURL } from './utils.js';
@@ -17,6 +18,58 @@ import { colorize, removeANSI, isFileURL } from './utils.js';
  * @property {string?} [verboseContent = null] The content to log if the verbose option is enabled
  */
 
+/**
+ * @typedef {Object} LoggerSetupOptions
+ *
+ * @property {boolean} [jsonLog] Also writes every event to a JSON Lines file next to the text log.
+ * Defaults to true if the `LOG_JSON` environment variable is `true` or `1`.
+ * @property {number} [retentionDays] The number of days the logs are kept in the `.tmp` directory.
+ * Defaults to the `LOG_RETENTION_DAYS` environment variable, or 30.
+ * @property {Partial<Record<LogType, Partial<LogStyle>>>} [theme] Overrides the styles of the log types
+ */
+
+/**
+ * A color or a text style
+ * @typedef {import('./utils.js').Style} Style
+ */
+
+/**
+ * The styles of the label (e.g. `[INFO]`), the message and the `{{n}}` arguments of a log type
+ * @typedef {{
+ *     label: Style | Style[],
+ *     message: Style | Style[],
+ *     args: Style | Style[]
+ * }} LogStyle
+ */
+
+/**
+ * The default styles of each log type
+ * @type {Record<LogType, LogStyle>}
+ */
+const DEFAULT_THEME = {
+    info: { label: 'cyan', message: 'white', args: 'blue' },
+    success: { label: 'green', message: 'white', args: 'blue' },
+    warning: { label: 'yellow', message: 'white', args: 'blue' },
+    question: { label: 'magenta', message: 'white', args: 'blue' },
+    error: { label: ['bold', 'red'], message: 'white', args: 'blue' }
+};
+
+/**
+ * An event of the JSON Lines log
+ * @typedef {{
+ *     time: string,
+ *     runId: string,
+ *     script: string,
+ *     level: LogType,
+ *     template: string,
+ *     args: string[],
+ *     message: string,
+ *     verboseContent: string | null,
+ *     source: string | null,
+ *     location: string | null
+ * }} LogEvent
+ */
+
 /**
  * The type of a generic logger function
  * @typedef {(message: string, ...args: unknown[]) => void} LoggerFunction
@@ -53,23 +106,38 @@ class LoggerErrorHandler extends Error {
      * @param {LoggerFunction?} [logger = null]
      */
     static handle(errorMessage, error = null, logger = null) {
-        if (!logger) logger = (message, verboseContent, ...args) => Logger.__log({ message, verboseContent, args, type: 'error' });
+        const owner = (logger && LOGGER_FUNCTIONS.get(logger)) ?? Logger.getDefault();
+
+        if (!logger) logger = owner.error;
 
         if (error instanceof LoggerErrorHandler) {
-            logger(error.message, error.verboseContent, error.args);
+            logger(error.message, error.verboseContent, ...error.args);
         } else if (error instanceof Error) {
             logger(errorMessage, error.message);
         } else {
             logger(errorMessage, error);
         }
 
-        console.log(`See ${Logger.__LOG_PATH} for more details.\n`);
+        console.log(`See ${owner.logPath} for more details.\n`);
         process.exit(1);
     }
 }
 
 /**
- * A simple, flexible, optionally verbose, and adorably colorful logger for the application
+ * The logger of each bound logger function (e.g. the `error` of `const { error } = Logger.create(...)`),
+ * so that `LoggerErrorHandler.handle` can point to its log file
+ * @type {WeakMap<LoggerFunction, Logger>}
+ */
+const LOGGER_FUNCTIONS = new WeakMap();
+
+/**
+ * The name of the logs written by the scripts, `<script>-<date>.log` or `.jsonl` with the date as `YYYY_MM_DD-HH_MM_SS`
+ */
+const LOG_FILE_NAME_REGEX = /^.+-\d{4}_\d{2}_\d{2}-\d{2}_\d{2}_\d{2}\.(log|jsonl)$/;
+
+/**
+ * A simple, flexible, optionally verbose, and adorably colorful logger for the application.
+ * Each logger has its own log file and output options: creating or configuring one does not change the others.
  *
  * @example
  * const log = Logger.create(import.meta.url);
@@ -81,18 +149,92 @@ class LoggerErrorHandler extends Error {
  */
 class Logger {
     /**
+     * The ID shared by every event logged by this process
+     *
      * @private
      * @static
      * @type {string}
      */
-    static __LOG_PATH;
+    static __RUN_ID = randomUUID();
 
     /**
+     * The logger of the messages logged without one, created on first use
+     *
      * @private
      * @static
+     * @type {Logger | null}
+     */
+    static __DEFAULT = null;
+
+    /**
+     * @private
+     * @type {string}
+     */
+    __logPath;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    __verbose = false;
+
+    /**
+     * @private
      * @type {boolean}
      */
-    static __VERBOSE;
+    __quiet = false;
+
+    /**
+     * The path of the JSON Lines log, or null if it is disabled
+     *
+     * @private
+     * @type {string | null}
+     */
+    __jsonLogPath = null;
+
+    /**
+     * The log file and the directory of the logs set by `configure`, used instead of the `.tmp` directory of the script
+     *
+     * @private
+     * @type {{ logFile: string | null, logDir: string | null }}
+     */
+    __output = { logFile: null, logDir: null };
+
+    /**
+     * The log path in the `.tmp` directory of the script
+     *
+     * @private
+     * @type {string}
+     */
+    __defaultLogPath;
+
+    /**
+     * Whether the events are also written to a JSON Lines log
+     *
+     * @private
+     * @type {boolean}
+     */
+    __jsonLog = false;
+
+    /**
+     * The number of days the logs are kept
+     *
+     * @private
+     * @type {number}
+     */
+    __retentionDays;
+
+    /**
+     * @private
+     * @type {string}
+     */
+    __scriptName;
+
+    /**
+     * @private
+     * @type {Record<LogType, LogStyle>}
+     */
+    __theme = structuredClone(DEFAULT_THEME);
 
     /**
      * Creates a new Logger instance
@@ -100,24 +242,61 @@ class Logger {
      * @static
      * @param {string} appFilePathOrURL
      * @param {boolean} verbose
+     * @param {LoggerSetupOptions} [options = {}]
      * @returns {Logger}
      */
-    static create(appFilePathOrURL, verbose) {
+    static create(appFilePathOrURL, verbose, options = {}) {
         if (isFileURL(appFilePathOrURL)) {
             appFilePathOrURL = fileURLToPath(appFilePathOrURL);
         }
 
-        return new Logger(appFilePathOrURL, verbose);
+        return new Logger(appFilePathOrURL, verbose, options);
+    }
+
+    /**
+     * Gets the directory of the logs of the scripts
+     *
+     * @static
+     * @param {string} appFilePathOrURL - The path or URL of a script
+     * @param {string | null} [logDir = null] - The directory of the logs set in the release config
+     * @returns {string} The given directory, or the `.tmp` directory next to the script
+     */
+    static getLogDir(appFilePathOrURL, logDir = null) {
+        if (logDir) return path.resolve(logDir);
+
+        return path.join(path.dirname(isFileURL(appFilePathOrURL) ? fileURLToPath(appFilePathOrURL) : appFilePathOrURL), '.tmp');
+    }
+
+    /**
+     * Gets the logger of the messages logged without one, e.g. by a prompt called without a logger function.
+     * It is created on first use and logs to the `.tmp` directory of the main script.
+     *
+     * @static
+     * @returns {Logger}
+     */
+    static getDefault() {
+        Logger.__DEFAULT ??= Logger.create(process.argv[1] ?? import.meta.url);
+
+        return Logger.__DEFAULT;
     }
 
     /**
      * @private
      * @param {string} appFilePath
      * @param {boolean} verbose
+     * @param {LoggerSetupOptions} options
      */
-    constructor(appFilePath, verbose) {
-        this.__setupLogPath(appFilePath);
-        Logger.__VERBOSE = verbose;
+    constructor(appFilePath, verbose, options) {
+        this.__setupLogPath(appFilePath, options);
+        if (verbose !== undefined) this.__verbose = verbose;
+
+        if (options.theme) this.setTheme(options.theme);
+
+        // The logger functions are usually destructured, e.g. `const { info, error } = Logger.create(import.meta.url)`
+        for (const type of ['info', 'success', 'warning', 'question', 'error']) {
+            this[type] = this[type].bind(this);
+            LOGGER_FUNCTIONS.set(this[type], this);
+        }
     }
 
     /**
@@ -125,7 +304,7 @@ class Logger {
      * @type {string}
      */
     get logPath() {
-        return Logger.__LOG_PATH;
+        return this.__logPath;
     }
 
     /**
@@ -133,14 +312,65 @@ class Logger {
      * @type {boolean}
      */
     get verbose() {
-        return Logger.__VERBOSE;
+        return this.__verbose;
+    }
+
+    /**
+     * @readonly
+     * @type {string | null}
+     */
+    get jsonLogPath() {
+        return this.__jsonLogPath;
+    }
+
+    /**
+     * @readonly
+     * @type {string}
+     */
+    get runId() {
+        return Logger.__RUN_ID;
+    }
+
+    /**
+     * Overrides the styles of the log types
+     *
+     * @param {Partial<Record<LogType, Partial<LogStyle>>>} theme - The styles to override, e.g. `{ info: { label: ['bold', 'cyan'] } }`
+     */
+    setTheme(theme) {
+        for (const [type, style] of Object.entries(theme)) {
+            if (!(type in DEFAULT_THEME)) throw new Error(`Invalid log type in theme: ${type}`);
+
+            Object.assign(this.__theme[type], style);
+        }
+    }
+
+    /**
+     * Configures the output of the logger, e.g. from the command line options
+     *
+     * @param {{ verbose?: boolean, quiet?: boolean, logFile?: string, logDir?: string | null, jsonLog?: boolean }} options
+     * `verbose` also prints the verbose content of the messages, which is always written to the log file.
+     * `quiet` only prints warnings, errors and questions.
+     * `logFile` writes the log to this file instead of the `.tmp` directory of the script.
+     * `logDir` writes the logs to this directory instead of the `.tmp` directory of the script. `logFile` takes precedence.
+     * `jsonLog` also writes every event to a JSON Lines file next to the log. It is also written if `LOG_JSON` is set.
+     */
+    configure(options) {
+        if (options.verbose !== undefined) this.__verbose = options.verbose;
+        if (options.quiet !== undefined) this.__quiet = options.quiet;
+
+        if (options.logDir) this.__output.logDir = path.resolve(options.logDir);
+        if (options.logFile) this.__output.logFile = path.resolve(options.logFile);
+        if (options.jsonLog) this.__jsonLog = true;
+
+        if (options.logDir || options.logFile || options.jsonLog) this.__updateLogPath();
     }
 
     /**
      * @private
      * @param {string} appFilePath
+     * @param {LoggerSetupOptions} options
      */
-    __setupLogPath(appFilePath) {
+    __setupLogPath(appFilePath, options) {
         const scriptRootDir = path.dirname(appFilePath);
         const scriptName = appFilePath
             .split(/[\\/]/)
@@ -151,64 +381,147 @@ class Logger {
             .slice(0, date.length - 5)
             .replace(/[:-]/g, '_')
             .replace('T', '-');
-        const logPath = path.join(scriptRootDir, '.tmp', `${scriptName}-${formattedDate}.log`);
-        const logDir = path.dirname(logPath);
 
-        if (!fs.existsSync(logDir)) {
-            fs.mkdirSync(logDir, { recursive: true });
+        this.__defaultLogPath = path.join(scriptRootDir, '.tmp', `${scriptName}-${formattedDate}.log`);
+        this.__jsonLog = options.jsonLog ?? ['true', '1'].includes(process.env.LOG_JSON?.toLowerCase());
+        this.__retentionDays = options.retentionDays ?? Number(process.env.LOG_RETENTION_DAYS || 30);
+        this.__scriptName = scriptName;
+
+        this.__updateLogPath();
+    }
+
+    /**
+     * Sets the log paths from the default log path and the output set by `configure`, and prunes the directory of the logs
+     *
+     * @private
+     */
+    __updateLogPath() {
+        const { logFile, logDir } = this.__output;
+        const logPath = logFile ?? path.join(logDir ?? path.dirname(this.__defaultLogPath), path.basename(this.__defaultLogPath));
+
+        fs.mkdirSync(path.dirname(logPath), { recursive: true });
+
+        if (!logFile) Logger.__pruneLogs(path.dirname(logPath), this.__retentionDays);
+
+        this.__logPath = logPath;
+        this.__jsonLogPath = this.__jsonLog ? logPath.replace(/\.log$/, '') + '.jsonl' : null;
+    }
+
+    /**
+     * Removes the logs older than the retention period. Only the logs named by the scripts, `<script>-<date>.log` and
+     * `<script>-<date>.jsonl`, are removed: the other files of a directory set in the release config are left alone.
+     *
+     * @private
+     * @static
+     * @param {string} logDir
+     * @param {number} retentionDays
+     */
+    static __pruneLogs(logDir, retentionDays) {
+        if (!(retentionDays > 0)) return;
+
+        const limit = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+        for (const file of fs.readdirSync(logDir)) {
+            const filePath = path.join(logDir, file);
+
+            if (!LOG_FILE_NAME_REGEX.test(file)) continue;
+
+            try {
+                if (fs.statSync(filePath).mtimeMs < limit) fs.rmSync(filePath);
+            } catch {
+                // Another run may have removed it already
+            }
         }
+    }
 
-        Logger.__LOG_PATH = logPath;
+    /**
+     * Gets the function and the location that called the logger, from the stack trace
+     *
+     * @private
+     * @static
+     * @returns {{ source: string | null, location: string | null }}
+     */
+    static __getSource() {
+        const frames = (new Error().stack ?? '').split('\n').slice(1);
+        const loggerFile = fileURLToPath(import.meta.url);
+
+        for (const frame of frames) {
+            const match = /at (?:(?:new )?(\S+) \()?(?:file:\/\/)?(.+?):(\d+):\d+\)?$/.exec(frame.trim());
+
+            if (!match || match[2] === loggerFile || match[2].startsWith('node:')) continue;
+
+            const source = match[1] ? match[1].replace(/^(?:Object|Logger|Module)\./, '') : null;
+            return { source, location: `${path.relative(process.cwd(), match[2])}:${match[3]}` };
+        }
+
+        return { source: null, location: null };
+    }
+
+    /**
+     * Writes an event to the JSON Lines log, if it is enabled
+     *
+     * @private
+     * @param {LoggerOptions} options
+     * @param {string} template
+     */
+    __writeEvent(options, template) {
+        if (!this.__jsonLogPath) return;
+
+        /** @type {LogEvent} */
+        const event = {
+            time: new Date().toISOString(),
+            runId: Logger.__RUN_ID,
+            script: this.__scriptName,
+            level: options.type,
+            template: removeANSI(template),
+            args: options.args.map((arg) => removeANSI(String(arg))),
+            message: removeANSI(template.replace(/\{\{(\d+)\}\}/g, (_, p1) => String(options.args[Number(p1)]))),
+            verboseContent: options.verboseContent ? removeANSI(String(options.verboseContent)) : null,
+            ...Logger.__getSource()
+        };
+
+        fs.appendFileSync(this.__jsonLogPath, JSON.stringify(event) + '\n');
     }
 
     /**
      * Logs a message to the console
      *
      * @private
-     * @static
      * @param {LoggerOptions} options
      */
-    static __log(options) {
+    __log(options) {
         const show = (value) => {
-            if (options.type !== 'question') console.log(value);
+            if (options.type === 'question') return;
+            if (this.__quiet && ['info', 'success'].includes(options.type)) return;
+
+            console.log(value);
         };
 
         if (!options.type) options.type = 'info';
         if (!options.args) options.args = [];
 
         try {
-            options.message = colorize('white', options.message);
+            this.__writeEvent(options, options.message);
+
+            const style = this.__theme[options.type];
+
+            options.message = colorize(style.message, options.message);
 
             if (options.args.length > 0) {
-                options.message = options.message.replace(/\{\{(\d+)\}\}/g, (_, p1) => colorize('blue', options.args[Number(p1)]));
+                options.message = options.message.replace(/\{\{(\d+)\}\}/g, (_, p1) => colorize(style.args, options.args[Number(p1)]));
             }
 
-            switch (options.type) {
-                case 'info':
-                    options.message = colorize('cyan', '[INFO] ') + options.message;
-                    break;
-                case 'success':
-                    options.message = colorize('green', '[SUCCESS] ') + options.message;
-                    break;
-                case 'warning':
-                    options.message = colorize('yellow', '[WARNING] ') + options.message;
-                    break;
-                case 'question':
-                    options.message = colorize('magenta', '[QUESTION] ') + options.message;
-                    break;
-                case 'error':
-                    options.message = colorize('red', '[ERROR] ') + options.message;
-            }
+            options.message = colorize(style.label, `[${options.type.toUpperCase()}] `) + options.message;
 
             show(options.message);
 
             if (options.verboseContent) {
-                options.message += '\n' + colorize('white', options.verboseContent);
+                options.message += '\n' + options.verboseContent;
 
-                if (Logger.__VERBOSE) show(options.verboseContent);
+                if (this.__verbose) show(options.verboseContent);
             }
 
-            fs.appendFileSync(Logger.__LOG_PATH, removeANSI(options.message) + '\n\n');
+            fs.appendFileSync(this.__logPath, removeANSI(options.message) + '\n\n');
         } catch (error) {
             throw new Error(`${colorize('red', '[ERROR]')} Failed to log message:\n${error.message}\n\n`);
         }
@@ -222,7 +535,7 @@ class Logger {
      * @param {string[]} [args = []]
      */
     info(message, verboseContent, ...args) {
-        Logger.__log({ message, type: 'info', verboseContent, args });
+        this.__log({ message, type: 'info', verboseContent, args });
     }
 
     /**
@@ -233,7 +546,7 @@ class Logger {
      * @param {string[]} [args = []]
      */
     success(message, verboseContent, ...args) {
-        Logger.__log({ message, type: 'success', verboseContent, args });
+        this.__log({ message, type: 'success', verboseContent, args });
     }
 
     /**
@@ -244,7 +557,7 @@ class Logger {
      * @param {string[]} [args = []]
      */
     warning(message, verboseContent, ...args) {
-        Logger.__log({ message, type: 'warning', verboseContent, args });
+        this.__log({ message, type: 'warning', verboseContent, args });
     }
 
     /**
@@ -255,7 +568,7 @@ class Logger {
      * @param {string[]} [args = []]
      */
     question(message, verboseContent, ...args) {
-        Logger.__log({ message, type: 'question', verboseContent, args });
+        this.__log({ message, type: 'question', verboseContent, args });
     }
 
     /**
@@ -266,7 +579,7 @@ class Logger {
      * @param {string[]} [args = []]
      */
     error(message, verboseContent, ...args) {
-        Logger.__log({ message, type: 'error', verboseContent, args });
+        this.__log({ message, type: 'error', verboseContent, args });
     }
 }
 
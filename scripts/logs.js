@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import { colorize } from './utils.js';
+import { LoggerErrorHandler } from './logger.js';
+
+/**
+ * An event of the JSON Lines log
+ * @typedef {import('./logger.js').LogEvent} LogEvent
+ */
+
+/**
+ * The type of the log message
+ * @typedef {import('./logger.js').LogType} LogType
+ */
+
+/**
+ * A run of a script, i.e. the events logged by one process
+ * @typedef {{
+ *     runId: string,
+ *     script: string,
+ *     start: string,
+ *     events: LogEvent[]
+ * }} LogRun
+ */
+
+/**
+ * The color of the label of each level
+ * @type {Record<LogType, import('./utils.js').Color>}
+ */
+const LEVEL_COLORS = { info: 'cyan', success: 'green', warning: 'yellow', question: 'magenta', error: 'red' };
+
+/**
+ * Reads the events of every JSON Lines log in a directory, grouped by run, oldest first
+ *
+ * @param {string} logDir - The directory of the logs
+ * @returns {LogRun[]} The runs
+ */
+function readLogRuns(logDir) {
+    const runs = new Map();
+
+    if (!fs.existsSync(logDir)) return [];
+
+    for (const file of fs.readdirSync(logDir).filter((item) => item.endsWith('.jsonl'))) {
+        const lines = fs.readFileSync(path.join(logDir, file), 'utf8').split('\n');
+
+        for (const line of lines.filter((item) => item.trim() !== '')) {
+            let event;
+
+            try {
+                event = JSON.parse(line);
+            } catch {
+                continue;
+            }
+
+            if (!runs.has(event.runId)) runs.set(event.runId, { runId: event.runId, script: event.script, start: event.time, events: [] });
+            runs.get(event.runId).events.push(event);
+        }
+    }
+
+    return [...runs.values()].sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Formats an event for the terminal
+ *
+ * @param {LogEvent} event - The event
+ * @param {boolean} verbose - Also prints the verbose content of the event
+ * @returns {string} The formatted event
+ */
+function formatEvent(event, verbose) {
+    const time = colorize('white', event.time.slice(11, 19));
+    const level = colorize(LEVEL_COLORS[event.level] ?? 'white', `[${event.level.toUpperCase()}]`);
+    const source = event.source ? colorize('blue', ` (${event.source})`) : '';
+    let text = `${time} ${level} ${event.message.trimEnd()}${source}`;
+
+    if (verbose && event.verboseContent) text += '\n' + event.verboseContent.replace(/^/gm, '    ');
+
+    return text;
+}
+
+/**
+ * Prints the events of past runs, filtered by run and level
+ *
+ * @param {string} logDir - The directory of the logs
+ * @param {{ runId?: string, levels?: string[], script?: string, verbose?: boolean, json?: boolean }} [filters = {}]
+ * `runId` selects a run by its ID or prefix, the last run is printed if not provided.
+ */
+function printLogs(logDir, filters = {}) {
+    const runs = readLogRuns(logDir).filter((run) => !filters.script || run.script === filters.script);
+    const run = filters.runId ? runs.find((item) => item.runId.startsWith(filters.runId)) : runs[runs.length - 1];
+
+    if (!run) {
+        throw new LoggerErrorHandler(
+            filters.runId ? `No run found with the ID ${filters.runId}` : 'No structured logs found',
+            'Set "jsonLog": true in the release config, or run the scripts with LOG_JSON=true, to write them.'
+        );
+    }
+
+    const events = run.events.filter((event) => !filters.levels?.length || filters.levels.includes(event.level));
+
+    if (filters.json) return console.log(events.map((event) => JSON.stringify(event)).join('\n'));
+
+    console.log(colorize('white', `Run ${run.runId} of ${run.script}, started at ${run.start}\n`));
+    console.log(events.map((event) => formatEvent(event, filters.verbose)).join('\n') + '\n');
+}
+
+/**
+ * Prints the runs found in the logs, oldest first
+ *
+ * @param {string} logDir - The directory of the logs
+ * @param {string} [script] - Only lists the runs of this script
+ */
+function listLogRuns(logDir, script) {
+    const runs = readLogRuns(logDir).filter((run) => !script || run.script === script);
+
+    for (const run of runs) {
+        const errors = run.events.filter((event) => event.level === 'error').length;
+        const status = errors > 0 ? colorize('red', `${errors} error(s)`) : colorize('green', 'ok');
+
+        console.log(`${colorize('blue', run.runId.slice(0, 8))} ${run.start} ${run.script} (${run.events.length} events, ${status})`);
+    }
+}
+
+export { LEVEL_COLORS, listLogRuns, printLogs };
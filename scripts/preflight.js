@@ -0,0 +1,299 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * The branch releases are made from, unless another one is given
+ */
+const DEFAULT_RELEASE_BRANCH = 'main';
+
+/**
+ * The categories accepted by the Marketplace
+ */
+const MARKETPLACE_CATEGORIES = [
+    'AI',
+    'Azure',
+    'Chat',
+    'Data Science',
+    'Debuggers',
+    'Education',
+    'Extension Packs',
+    'Formatters',
+    'Keymaps',
+    'Language Packs',
+    'Linters',
+    'Machine Learning',
+    'Notebooks',
+    'Other',
+    'Programming Languages',
+    'SCM Providers',
+    'Snippets',
+    'Testing',
+    'Themes',
+    'Visualization'
+];
+
+/**
+ * The smallest icon accepted by the Marketplace, in pixels
+ */
+const MIN_ICON_SIZE = 128;
+
+/**
+ * The files git creates while an operation is in progress, and the name of the operation
+ */
+const IN_PROGRESS_MARKERS = {
+    MERGE_HEAD: 'merge',
+    'rebase-merge': 'rebase',
+    'rebase-apply': 'rebase',
+    CHERRY_PICK_HEAD: 'cherry-pick',
+    REVERT_HEAD: 'revert',
+    BISECT_LOG: 'bisect'
+};
+
+/**
+ * The names of the preflight checks
+ * @typedef {'branch' | 'clean' | 'upstream' | 'operation' | 'manifest' | 'vscodeignore'} PreflightCheck
+ */
+
+/**
+ * A failed preflight check
+ * @typedef {{
+ *     check: PreflightCheck,
+ *     message: string
+ * }} PreflightFailure
+ */
+
+/**
+ * A git client bound to a working tree
+ * @typedef {import('./git.js').Git} Git
+ */
+
+/**
+ * The names of every preflight check, in the order they run
+ * @type {PreflightCheck[]}
+ */
+const PREFLIGHT_CHECKS = ['branch', 'clean', 'upstream', 'operation', 'manifest', 'vscodeignore'];
+
+/**
+ * Checks that HEAD is on the release branch
+ *
+ * @param {Git} git - The git client of the project
+ * @param {string} [releaseBranch = DEFAULT_RELEASE_BRANCH] - The branch releases are made from
+ * @returns {string[]} The failures found
+ */
+function checkBranch(git, releaseBranch = DEFAULT_RELEASE_BRANCH) {
+    const branch = git.exec(['branch', '--show-current']).trim();
+
+    if (branch === '') return [`HEAD is detached. Releases are made from the ${releaseBranch} branch.`];
+    if (branch !== releaseBranch) return [`The current branch is ${branch}. Releases are made from the ${releaseBranch} branch.`];
+
+    return [];
+}
+
+/**
+ * Checks that nothing is staged, no file has conflicts and the files the release writes or packages have no unstaged changes.
+ * Changes to the other files are fine: the release stages and commits them itself, so anything staged beforehand
+ * would end up in its commits. Unstaged changes to the manifests, changelogs, README or icon would be committed
+ * or packaged along with the release.
+ *
+ * @param {Git} git - The git client of the project
+ * @param {string[]} [releaseFiles = []] - The files the release writes or packages, relative to the project root
+ * @returns {string[]} The failures found
+ */
+function checkCleanIndex(git, releaseFiles = []) {
+    const failures = [];
+    const unmerged = git.exec(['diff', '--name-only', '--diff-filter=U']).split('\n').filter(Boolean);
+    const staged = git
+        .exec(['diff', '--name-only', '--cached'])
+        .split('\n')
+        .filter((file) => file !== '' && !unmerged.includes(file));
+    const edited =
+        releaseFiles.length > 0
+            ? git
+                  .exec(['status', '--porcelain', '--untracked-files=no', '--', ...releaseFiles])
+                  .split('\n')
+                  .filter((line) => line.length > 3 && line[1] !== ' ')
+                  .map((line) => line.slice(3))
+                  .filter((file) => !unmerged.includes(file))
+            : [];
+
+    if (unmerged.length > 0) failures.push(`Files with conflicts: ${unmerged.join(', ')}`);
+    if (staged.length > 0) failures.push(`Files already staged: ${staged.join(', ')}. Commit or unstage them first.`);
+    if (edited.length > 0) failures.push(`Unstaged changes to released files: ${edited.join(', ')}. Commit or discard them first.`);
+
+    return failures;
+}
+
+/**
+ * Checks that HEAD is not behind its upstream, as last fetched. A branch without upstream passes.
+ *
+ * @param {Git} git - The git client of the project
+ * @returns {string[]} The failures found
+ */
+function checkUpstream(git) {
+    let upstream;
+
+    try {
+        upstream = git.exec(['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{upstream}']).trim();
+    } catch {
+        return [];
+    }
+
+    const [behind] = git.exec(['rev-list', '--left-right', '--count', '@{upstream}...HEAD']).trim().split(/\s+/).map(Number);
+
+    return behind > 0 ? [`HEAD is ${behind} commit(s) behind ${upstream}. Pull the changes first.`] : [];
+}
+
+/**
+ * Checks that no merge, rebase, cherry-pick, revert or bisect is in progress
+ *
+ * @param {Git} git - The git client of the project
+ * @returns {string[]} The failures found
+ */
+function checkOperationInProgress(git) {
+    const operations = Object.entries(IN_PROGRESS_MARKERS)
+        .filter(([marker]) => fs.existsSync(path.resolve(git.cwd, git.exec(['rev-parse', '--git-path', marker]).trim())))
+        .map(([, operation]) => operation);
+
+    return [...new Set(operations)].map((operation) => `A ${operation} is in progress. Finish or abort it first.`);
+}
+
+/**
+ * Reads the size of a PNG image from its header
+ *
+ * @param {string} filePath - The path of the image
+ * @returns {{ width: number, height: number } | null} The size of the image, or null if it is not a PNG image
+ */
+function readPngSize(filePath) {
+    const header = Buffer.alloc(24);
+    const fd = fs.openSync(filePath, 'r');
+
+    try {
+        fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    if (header.toString('latin1', 1, 4) !== 'PNG' || header.toString('latin1', 12, 16) !== 'IHDR') return null;
+
+    return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+}
+
+/**
+ * Checks the manifest of an extension pack against what vsce and the Marketplace require:
+ * the required fields, `engines.vscode`, the icon and the categories
+ *
+ * @param {Object} manifest - The content of the package.json of the pack
+ * @param {string} cwd - The project root, the icon path is relative to it
+ * @returns {string[]} The failures found
+ */
+function checkManifest(manifest, cwd) {
+    const failures = [];
+    const name = manifest.name ?? 'package.json';
+
+    for (const field of ['name', 'displayName', 'description', 'publisher', 'version']) {
+        if (typeof manifest[field] !== 'string' || manifest[field].trim() === '') failures.push(`${name}: "${field}" is required.`);
+    }
+
+    if (typeof manifest.name === 'string' && !/^[a-z0-9][a-z0-9-]*$/.test(manifest.name)) {
+        failures.push(`${name}: "name" must be lowercase letters, digits and dashes.`);
+    }
+
+    const engine = manifest.engines?.vscode;
+
+    if (typeof engine !== 'string') {
+        failures.push(`${name}: "engines.vscode" is required.`);
+    } else if (!/^(\*|[\^~]?\d+\.\d+\.\d+|>=\s*\d+\.\d+\.\d+)$/.test(engine.trim())) {
+        failures.push(`${name}: "engines.vscode" must be a version range such as ^1.97.0, got "${engine}".`);
+    }
+
+    if (manifest.icon !== undefined) {
+        const iconPath = path.resolve(cwd, manifest.icon);
+        const size = fs.existsSync(iconPath) ? readPngSize(iconPath) : undefined;
+
+        if (size === undefined) {
+            failures.push(`${name}: the icon ${manifest.icon} does not exist.`);
+        } else if (size === null) {
+            failures.push(`${name}: the icon ${manifest.icon} must be a PNG image.`);
+        } else if (size.width !== size.height || size.width < MIN_ICON_SIZE) {
+            failures.push(
+                `${name}: the icon ${manifest.icon} is ${size.width}x${size.height}, it must be square and at least ${MIN_ICON_SIZE}x${MIN_ICON_SIZE}.`
+            );
+        }
+    }
+
+    const categories = manifest.categories ?? [];
+    const unknown = Array.isArray(categories) ? categories.filter((category) => !MARKETPLACE_CATEGORIES.includes(category)) : [];
+
+    if (!Array.isArray(categories)) {
+        failures.push(`${name}: "categories" must be an array.`);
+    } else if (unknown.length > 0) {
+        failures.push(`${name}: unknown categories ${unknown.join(', ')}. Expected any of: ${MARKETPLACE_CATEGORIES.join(', ')}`);
+    }
+
+    return failures;
+}
+
+/**
+ * Converts a .vscodeignore pattern to a regular expression matching the paths it applies to, as vsce does with minimatch:
+ * `**` matches any number of directories, `*` and `?` match within a path segment and a trailing `/` matches a whole directory.
+ *
+ * @param {string} pattern - The pattern, without its leading `!`
+ * @returns {RegExp} The regular expression
+ */
+function ignorePatternToRegExp(pattern) {
+    const glob = pattern.replace(/^\//, '').replace(/\/$/, '/**');
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        if (glob.startsWith('**/', i)) {
+            source += '(?:.*/)?';
+            i += 2;
+        } else if (glob.startsWith('**', i)) {
+            source += '.*';
+            i += 1;
+        } else if (glob[i] === '*') {
+            source += '[^/]*';
+        } else if (glob[i] === '?') {
+            source += '[^/]';
+        } else {
+            source += glob[i].replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks that .vscodeignore lets vsce package every file of the pack. The last pattern matching a file wins.
+ *
+ * @param {string[]} files - The files that must be packaged, relative to the project root
+ * @param {string} cwd - The project root
+ * @returns {string[]} The failures found
+ */
+function checkVscodeignore(files, cwd) {
+    const ignorePath = path.join(cwd, '.vscodeignore');
+
+    if (!fs.existsSync(ignorePath)) return [];
+
+    const rules = fs
+        .readFileSync(ignorePath, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line !== '' && !line.startsWith('#'))
+        .map((line) => ({ negated: line.startsWith('!'), pattern: ignorePatternToRegExp(line.replace(/^!/, '')) }));
+
+    return files
+        .filter((file) => rules.reduce((ignored, rule) => (rule.pattern.test(file) ? !rule.negated : ignored), false))
+        .map((file) => `.vscodeignore excludes ${file} from the package.`);
+}
+
+export {
+    DEFAULT_RELEASE_BRANCH,
+    PREFLIGHT_CHECKS,
+    checkBranch,
+    checkCleanIndex,
+    checkManifest,
+    checkOperationInProgress,
+    checkUpstream,
+    checkVscodeignore
+};
@@ -0,0 +1,185 @@
+import fs from 'fs';
+import path from 'path';
+import { LoggerErrorHandler } from './logger.js';
+
+/**
+ * The fields copied from the root package.json to the manifest of a new profile
+ */
+const SHARED_MANIFEST_FIELDS = ['publisher', 'icon', 'license', 'author', 'homepage', 'repository', 'bugs', 'engines', 'categories'];
+
+/**
+ * A variant of the extension pack, defined by a `profiles/<id>/profile.json` file.
+ * Its extensions are the recommendations that belong to any of the `include` groups (all of them if there are none),
+ * minus the ones that belong to any of the `exclude` groups.
+ * @typedef {{
+ *     id: string,
+ *     name: string,
+ *     displayName: string,
+ *     description: string,
+ *     include: string[],
+ *     exclude: string[],
+ *     profilePath: string,
+ *     packageJsonPath: string,
+ *     changelogPath: string
+ * }} Profile
+ */
+
+/**
+ * Gets the path of the profiles directory
+ *
+ * @param {string} [cwd = process.cwd()] - The project root
+ * @returns {string} The path of the profiles directory in the project root
+ */
+function getProfilesDir(cwd = process.cwd()) {
+    return path.join(cwd, 'profiles');
+}
+
+/**
+ * Reads the extension groups used by the profiles from `profiles/groups.json`
+ *
+ * @param {string} [cwd = process.cwd()] - The project root
+ * @returns {Record<string, string[]>} The extension IDs of each group
+ */
+function readExtensionGroups(cwd = process.cwd()) {
+    const groupsPath = path.join(getProfilesDir(cwd), 'groups.json');
+
+    if (!fs.existsSync(groupsPath)) return {};
+
+    try {
+        const groups = JSON.parse(fs.readFileSync(groupsPath, 'utf8'));
+
+        for (const [group, extensions] of Object.entries(groups)) {
+            if (!Array.isArray(extensions) || !extensions.every((ext) => typeof ext === 'string')) {
+                throw new Error(`Group "${group}" must be an array of extension IDs`);
+            }
+        }
+
+        return groups;
+    } catch (err) {
+        throw new LoggerErrorHandler(`Invalid extension groups file: ${groupsPath}`, err.message);
+    }
+}
+
+/**
+ * Reads a profile
+ *
+ * @param {string} id - The ID of the profile, i.e. the name of its directory in `profiles/`
+ * @param {Record<string, string[]>} groups - The extension groups
+ * @param {string} [cwd = process.cwd()] - The project root
+ * @returns {Profile} The profile
+ */
+function readProfile(id, groups, cwd = process.cwd()) {
+    const dir = path.join(getProfilesDir(cwd), id);
+    const profilePath = path.join(dir, 'profile.json');
+
+    if (!fs.existsSync(profilePath)) throw new LoggerErrorHandler(`Unknown profile: ${id}`, `${profilePath} does not exist.`);
+
+    try {
+        const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+
+        for (const key of ['name', 'displayName', 'description']) {
+            if (typeof profile[key] !== 'string' || profile[key].trim() === '') throw new Error(`"${key}" must be a non-empty string`);
+        }
+
+        for (const key of ['include', 'exclude']) {
+            profile[key] = profile[key] ?? [];
+
+            if (!Array.isArray(profile[key])) throw new Error(`"${key}" must be an array of group names`);
+
+            const unknownGroups = profile[key].filter((group) => !(group in groups));
+            if (unknownGroups.length > 0) throw new Error(`Unknown groups in "${key}": ${unknownGroups.join(', ')}`);
+        }
+
+        return {
+            id,
+            name: profile.name,
+            displayName: profile.displayName,
+            description: profile.description,
+            include: profile.include,
+            exclude: profile.exclude,
+            profilePath,
+            packageJsonPath: path.join(dir, 'package.json'),
+            changelogPath: path.join(dir, 'CHANGELOG.md')
+        };
+    } catch (err) {
+        throw new LoggerErrorHandler(`Invalid profile: ${profilePath}`, err.message);
+    }
+}
+
+/**
+ * Reads the profiles with the given IDs, or every profile if no ID is given
+ *
+ * @param {string[]} [ids] - The IDs of the profiles
+ * @param {string} [cwd = process.cwd()] - The project root
+ * @returns {Profile[]} The profiles
+ */
+function readProfiles(ids, cwd = process.cwd()) {
+    const dir = getProfilesDir(cwd);
+    const groups = readExtensionGroups(cwd);
+
+    if (!ids) {
+        ids = fs.existsSync(dir)
+            ? fs
+                  .readdirSync(dir)
+                  .filter((item) => fs.existsSync(path.join(dir, item, 'profile.json')))
+                  .sort()
+            : [];
+    }
+
+    return ids.map((id) => readProfile(id, groups, cwd));
+}
+
+/**
+ * Filters the recommended extensions by the groups the profile includes and excludes
+ *
+ * @param {string[]} extensions - The recommended extensions
+ * @param {Profile} profile - The profile
+ * @param {string} [cwd = process.cwd()] - The project root
+ * @returns {string[]} The extensions of the profile
+ */
+function filterExtensionsByProfile(extensions, profile, cwd = process.cwd()) {
+    const groups = readExtensionGroups(cwd);
+    const inGroups = (ext, names) => names.some((name) => groups[name].some((id) => id.toLowerCase() === ext.toLowerCase()));
+
+    return extensions.filter((ext) => (profile.include.length === 0 || inGroups(ext, profile.include)) && !inGroups(ext, profile.exclude));
+}
+
+/**
+ * Gets the manifest of a profile, creating it from the root package.json if the profile has never been released
+ *
+ * @param {Profile} profile - The profile
+ * @param {Object} rootPackageJson - The content of the root package.json
+ * @returns {Object} The manifest of the profile
+ */
+function getProfileManifest(profile, rootPackageJson) {
+    if (fs.existsSync(profile.packageJsonPath)) return JSON.parse(fs.readFileSync(profile.packageJsonPath, 'utf8'));
+
+    const manifest = { name: profile.name, displayName: profile.displayName, description: profile.description, version: '0.0.0' };
+
+    for (const field of SHARED_MANIFEST_FIELDS) {
+        if (field in rootPackageJson) manifest[field] = rootPackageJson[field];
+    }
+
+    return { ...manifest, extensionPack: [] };
+}
+
+/**
+ * Gets the extension files of a profile, relative to the project root
+ *
+ * @param {Profile} profile - The profile
+ * @param {string} [cwd = process.cwd()] - The project root
+ * @param {string} [extensionsJson = '.vscode/extensions.json'] - The path of the recommendations, relative to the project root
+ * @returns {string[]} The paths to the extension files of the profile
+ */
+function getProfileExtensionFiles(profile, cwd = process.cwd(), extensionsJson = '.vscode/extensions.json') {
+    return [
+        extensionsJson,
+        'profiles/groups.json',
+        profile.profilePath,
+        profile.packageJsonPath,
+        profile.changelogPath,
+        'assets/icon_128.png'
+    ].map((file) => path.relative(cwd, path.resolve(cwd, file)).split(path.sep).join('/'));
+}
+
+export { filterExtensionsByProfile, getProfileExtensionFiles, getProfileManifest, readProfiles };
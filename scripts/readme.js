@@ -0,0 +1,205 @@
+import fs from 'fs';
+import path from 'path';
+import { LoggerErrorHandler } from './logger.js';
+
+const EXTENSION_TABLE_START = '<!-- extension-table:start -->';
+const EXTENSION_TABLE_END = '<!-- extension-table:end -->';
+
+/**
+ * The category of the extensions without metadata
+ */
+const DEFAULT_CATEGORY = 'Other';
+
+/**
+ * The keys of an entry of the extension metadata file, in the order they are written
+ */
+const METADATA_KEYS = ['displayName', 'category', 'description', 'deprecated', 'replacement', 'lastUpdated'];
+
+/**
+ * The description of an extension shown in the README, and its Marketplace status as of the last refresh from a Marketplace
+ * export (`pnpm ext:catalog --refresh`). `deprecated` is only set once the extension has been checked against the Marketplace.
+ * `replacement` is the ID of the extension to use instead of a deprecated one, if the Marketplace names one.
+ * @typedef {{
+ *     displayName: string,
+ *     category: string,
+ *     description: string,
+ *     deprecated?: boolean,
+ *     replacement?: string | null,
+ *     lastUpdated?: string | null
+ * }} ExtensionMetadata
+ */
+
+/**
+ * Gets the path of the README file
+ *
+ * @param {string} [cwd = process.cwd()] - The project root
+ * @returns {string} The path of README.md in the project root
+ */
+function getReadmePath(cwd = process.cwd()) {
+    return path.join(cwd, 'README.md');
+}
+
+/**
+ * Gets the path of the extension metadata file
+ *
+ * @param {string} [cwd = process.cwd()] - The project root
+ * @returns {string} The path of extension-metadata.json in the project root
+ */
+function getExtensionMetadataPath(cwd = process.cwd()) {
+    return path.join(cwd, 'extension-metadata.json');
+}
+
+/**
+ * Reads the extension metadata file, if there is one
+ *
+ * @param {string} [filePath = getExtensionMetadataPath()] - Path to the metadata file
+ * @returns {Record<string, ExtensionMetadata>} The metadata of each extension, by lowercased ID
+ */
+function readExtensionMetadata(filePath = getExtensionMetadataPath()) {
+    if (!fs.existsSync(filePath)) return {};
+
+    try {
+        const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const metadata = {};
+
+        for (const [id, entry] of Object.entries(content)) {
+            for (const key of Object.keys(entry ?? {})) {
+                if (!METADATA_KEYS.includes(key)) throw new Error(`Unknown key "${key}" in "${id}"`);
+            }
+
+            for (const key of ['displayName', 'category', 'description']) {
+                if (typeof entry?.[key] !== 'string' || entry[key].trim() === '') {
+                    throw new Error(`"${id}.${key}" must be a non-empty string`);
+                }
+            }
+
+            if (entry.deprecated !== undefined && typeof entry.deprecated !== 'boolean') {
+                throw new Error(`"${id}.deprecated" must be a boolean`);
+            }
+
+            for (const key of ['replacement', 'lastUpdated']) {
+                if (entry[key] !== undefined && entry[key] !== null && typeof entry[key] !== 'string') {
+                    throw new Error(`"${id}.${key}" must be a string or null`);
+                }
+            }
+
+            metadata[id.toLowerCase()] = entry.replacement ? { ...entry, replacement: entry.replacement.toLowerCase() } : entry;
+        }
+
+        return metadata;
+    } catch (err) {
+        throw new LoggerErrorHandler(`Invalid extension metadata file: ${filePath}`, err.message);
+    }
+}
+
+/**
+ * Renders the extensions of the pack as Markdown tables grouped by category
+ *
+ * @param {string[]} extensions - The extensions of the pack
+ * @param {Record<string, ExtensionMetadata>} metadata - The metadata of each extension
+ * @returns {string} The Markdown tables
+ */
+function renderExtensionTable(extensions, metadata) {
+    const cell = (text) => text.replace(/\|/g, '\\|');
+    const groups = new Map();
+
+    for (const ext of extensions) {
+        const entry = metadata[ext.toLowerCase()] ?? { displayName: ext, category: DEFAULT_CATEGORY, description: '' };
+
+        if (!groups.has(entry.category)) groups.set(entry.category, []);
+        groups.get(entry.category).push({ id: ext, ...entry });
+    }
+
+    const categories = [...groups.keys()].sort((a, b) => (a === DEFAULT_CATEGORY) - (b === DEFAULT_CATEGORY) || a.localeCompare(b));
+
+    return categories
+        .map((category) => {
+            const rows = groups
+                .get(category)
+                .sort((a, b) => a.displayName.localeCompare(b.displayName))
+                .map(
+                    (ext) =>
+                        `| ${cell(ext.displayName)} | [\`${ext.id}\`](https://marketplace.visualstudio.com/items?itemName=${ext.id}) | ${cell(ext.description)} |`
+                );
+
+            return [`### ${category}`, '', '| Extension | ID | Description |', '| --- | --- | --- |', ...rows].join('\n');
+        })
+        .join('\n\n');
+}
+
+/**
+ * Replaces the content between the extension table markers, appending a new section with the markers if there are none.
+ * The table is excluded from Prettier, which would otherwise realign it on every `pnpm fmt`.
+ *
+ * @param {string} content - The README content
+ * @param {string} table - The rendered extension table
+ * @returns {string} The updated README content
+ */
+function insertExtensionTable(content, table) {
+    const start = content.indexOf(EXTENSION_TABLE_START);
+    const end = content.indexOf(EXTENSION_TABLE_END);
+    const section = `${EXTENSION_TABLE_START}\n<!-- prettier-ignore-start -->\n\n${table}\n\n<!-- prettier-ignore-end -->\n${EXTENSION_TABLE_END}`;
+
+    if (start === -1 && end === -1) return `${content.trimEnd()}\n\n## Extensions\n\n${section}\n`;
+    if (start === -1 || end < start) throw new Error(`Expected ${EXTENSION_TABLE_START} followed by ${EXTENSION_TABLE_END}`);
+
+    return content.slice(0, start) + section + content.slice(end + EXTENSION_TABLE_END.length);
+}
+
+/**
+ * Gets the content the README will have with the extension table of the pack, without changing it
+ *
+ * @param {string[]} extensions - The extensions of the pack
+ * @param {string} [cwd = process.cwd()] - The project root
+ * @returns {string} The updated README content
+ */
+function getUpdatedReadmeContent(extensions, cwd = process.cwd()) {
+    const readmePath = getReadmePath(cwd);
+    const content = fs.existsSync(readmePath) ? fs.readFileSync(readmePath, 'utf8') : '';
+
+    return insertExtensionTable(content, renderExtensionTable(extensions, readExtensionMetadata(getExtensionMetadataPath(cwd))));
+}
+
+/**
+ * Renders the README of the extension pack of a profile: its name, its description and its extension table
+ *
+ * @param {{ displayName: string, description: string }} manifest - The manifest of the profile
+ * @param {string[]} extensions - The extensions of the pack
+ * @param {string} [cwd = process.cwd()] - The project root
+ * @returns {string} The README content
+ */
+function renderProfileReadme(manifest, extensions, cwd = process.cwd()) {
+    const table = renderExtensionTable(extensions, readExtensionMetadata(getExtensionMetadataPath(cwd)));
+
+    return `# ${manifest.displayName}\n\n${manifest.description}\n\n## Extensions\n\n${table}\n`;
+}
+
+/**
+ * Regenerates the extension table of the README from the extensions of the pack.
+ * The content outside the table markers is kept as is.
+ *
+ * @param {string[]} extensions - The extensions of the pack
+ * @param {string} [cwd = process.cwd()] - The project root
+ * @returns {string[]} The extensions without metadata, listed under "Other"
+ */
+function updateReadme(extensions, cwd = process.cwd()) {
+    try {
+        const metadata = readExtensionMetadata(getExtensionMetadataPath(cwd));
+
+        fs.writeFileSync(getReadmePath(cwd), getUpdatedReadmeContent(extensions, cwd));
+
+        return extensions.filter((ext) => !(ext.toLowerCase() in metadata));
+    } catch (err) {
+        throw new LoggerErrorHandler('Failed to update README.md', err.message);
+    }
+}
+
+export {
+    DEFAULT_CATEGORY,
+    METADATA_KEYS,
+    getExtensionMetadataPath,
+    getUpdatedReadmeContent,
+    readExtensionMetadata,
+    renderProfileReadme,
+    updateReadme
+};
@@ -1,232 +1,477 @@
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
-import { execSync } from 'child_process';
-import { colorize, confirm, isMainModule, removeANSI } from './utils.js';
+import { execFileSync } from 'child_process';
+import {
+    colorize,
+    confirm,
+    editMessage,
+    getExtensionListChanges,
+    getLineDiff,
+    mergeExtensions,
+    multiSelect,
+    readJsonFile,
+    readZipEntries,
+    select
+} from './utils.js';
+import { createGit } from './git.js';
+import { DEFAULT_RELEASE_CONFIG } from './config.js';
+import { createChangeSet, hasChanges, renderCommitMessage, renderMarkdownSummary, renderTerminalPreview } from './changeset.js';
+import { backfillChangelog, getChangelogSection, updateChangelog } from './changelog.js';
+import { comparePackRevisions, getExtensionTimeline, readManifestRevisions } from './history.js';
+import { getExtensionMetadataPath, getUpdatedReadmeContent, readExtensionMetadata, renderProfileReadme, updateReadme } from './readme.js';
+import { readExtensionRules, validateExtensions } from './validate.js';
+import { findDeprecatedExtensions, findUncatalogedExtensions, refreshExtensionCatalog } from './catalog.js';
+import { importExtensions } from './import.js';
+import { exportExtensionPack } from './export.js';
+import { filterExtensionsByProfile, getProfileExtensionFiles, getProfileManifest, readProfiles } from './profiles.js';
+import { increaseVersion, isPrerelease } from './semver.js';
+import { setJsoncProperties } from './jsonc.js';
+import {
+    PREFLIGHT_CHECKS,
+    checkBranch,
+    checkCleanIndex,
+    checkManifest,
+    checkOperationInProgress,
+    checkUpstream,
+    checkVscodeignore
+} from './preflight.js';
+import { beginTransaction, checkpointTransaction, endTransaction, readTransaction, rollbackTransaction } from './transaction.js';
 import { Logger, LoggerErrorHandler } from './logger.js';
 
-const { logPath: LOG_PATH, error, info, success, warning, question } = Logger.create(import.meta.url);
+/**
+ * The prompts of the terminal, used when no other prompts are given to the releaser
+ * @type {Prompt}
+ */
+const DEFAULT_PROMPT = { confirm, editMessage, multiSelect, select };
+
+/**
+ * The order of the bump levels, from the lowest to the highest
+ * @type {BumpLevel[]}
+ */
+const BUMP_LEVELS = ['patch', 'minor', 'major'];
+
+/**
+ * The level of a version bump
+ * @typedef {import('./semver.js').BumpLevel} BumpLevel
+ */
+
+/**
+ * The options of the version of a release.
+ * `bump` overrides the bump level computed from the extension list changes.
+ * `prerelease` sets a semver pre-release tag (e.g. `beta` for `3.2.0-beta.0`).
+ * `marketplacePreRelease` publishes the release as a pre-release on the Marketplace.
+ * @typedef {{
+ *     bump?: BumpLevel,
+ *     prerelease?: string,
+ *     marketplacePreRelease?: boolean
+ * }} VersionOptions
+ */
+
+/**
+ * The options of a release
+ * @typedef {VersionOptions & {
+ *     profiles?: string[],
+ *     allProfiles?: boolean,
+ *     include?: string[],
+ *     exclude?: string[],
+ *     allowRemovals?: boolean,
+ *     releaseBranch?: string,
+ *     skipChecks?: PreflightCheck[],
+ *     force?: boolean,
+ *     refuseDeprecated?: boolean
+ * }} ReleaseOptions
+ */
+
+/**
+ * A variant of the extension pack
+ * @typedef {import('./profiles.js').Profile} Profile
+ */
+
+/**
+ * The state of a release in progress
+ * @typedef {import('./transaction.js').ReleaseState} ReleaseState
+ */
+
+/**
+ * A git client bound to a working tree
+ * @typedef {import('./git.js').Git} Git
+ */
+
+/**
+ * The name of a preflight check
+ * @typedef {import('./preflight.js').PreflightCheck} PreflightCheck
+ */
+
+/**
+ * A failed preflight check
+ * @typedef {import('./preflight.js').PreflightFailure} PreflightFailure
+ */
+
+/**
+ * The prompts used to ask the user questions
+ * @typedef {{
+ *     confirm: typeof confirm,
+ *     select: typeof select,
+ *     multiSelect: typeof multiSelect,
+ *     editMessage: typeof editMessage
+ * }} Prompt
+ */
+
+/**
+ * The logger functions, as returned by `Logger.create`
+ * @typedef {ReturnType<typeof Logger.create>} ReleaseLogger
+ */
+
+/**
+ * The settings of the release tooling
+ * @typedef {import('./config.js').ReleaseConfig} ReleaseConfig
+ */
+
+/**
+ * The dependencies of the release pipeline: the project root and its config, and the git client, prompts and logger it works with
+ * @typedef {{
+ *     cwd: string,
+ *     config: ReleaseConfig,
+ *     git: Git,
+ *     prompt: Prompt,
+ *     logger: ReleaseLogger
+ * }} ReleaseContext
+ */
+
+/**
+ * The outcome of a release for one extension pack.
+ * `tag` is null if the pack was not published, `published` is false if only the tag was created (semver pre-releases).
+ * @typedef {{
+ *     name: string,
+ *     profile: string | null,
+ *     previousVersion: string,
+ *     version: string,
+ *     added: string[],
+ *     removed: string[],
+ *     kept: string[],
+ *     committed: boolean,
+ *     tag: string | null,
+ *     published: boolean
+ * }} PackResult
+ */
+
+/**
+ * The outcome of a release: the commits it made, oldest first, and the outcome of each extension pack
+ * @typedef {{
+ *     commits: string[],
+ *     packs: PackResult[]
+ * }} ReleaseResult
+ */
+
+/**
+ * What a release would change in an extension pack
+ * @typedef {{
+ *     name: string,
+ *     profile: string | null,
+ *     manifestPath: string,
+ *     currentVersion: string,
+ *     updatedVersion: string,
+ *     extensions: string[],
+ *     added: string[],
+ *     removed: string[],
+ *     hasChanges: boolean,
+ *     changeSet: ChangeSet,
+ *     message: string,
+ *     preview: string,
+ *     summary: string,
+ *     manifestDiff: string,
+ *     changelogPath: string,
+ *     changelogSection: string,
+ *     readmeDiff: string | null
+ * }} PackPlan
+ */
+
+/**
+ * What a release would change, without changing anything
+ * @typedef {{
+ *     projectMessage: string,
+ *     packs: PackPlan[]
+ * }} ReleasePlan
+ */
+
+/**
+ * The changes a release makes to an extension pack
+ * @typedef {import('./changeset.js').ChangeSet} ChangeSet
+ */
+
+/**
+ * A deprecated extension found in an extension list
+ * @typedef {import('./catalog.js').DeprecatedExtension} DeprecatedExtension
+ */
+
+/**
+ * The options of the history of a pack: the ID of its profile, or `default` for the root package.json
+ * @typedef {{
+ *     profile?: string
+ * }} HistoryOptions
+ */
+
+/**
+ * A change to the extension list in the history of a pack
+ * @typedef {import('./history.js').HistoryEntry} HistoryEntry
+ */
+
+/**
+ * The changes between two versions or refs of a pack
+ * @typedef {import('./history.js').PackComparison} PackComparison
+ */
+
+/**
+ * The result of the validation of an extension list
+ * @typedef {import('./validate.js').ValidationResult} ValidationResult
+ */
+
+/**
+ * The release pipeline of a project, as created by `createReleaser`.
+ * `validate` validates the recommended extensions, `preflight` runs the checks made before releasing, `plan` gets what a release would change without changing anything,
+ * `update` updates the extension packs without committing, `release` commits and publishes them,
+ * `publish` publishes their current version and `resume` retries the last release that failed.
+ * `history` gets when each extension was added to or removed from a pack and `compare` compares two versions or refs of a pack.
+ * `import` and `export` bring an extension list in and out of the project, `changelog` rebuilds the changelog from the git history,
+ * `readme` regenerates the extension table, and `deprecated` and `refreshCatalog` read and refresh the Marketplace status of the extensions.
+ * @typedef {{
+ *     validate: () => ValidationResult,
+ *     preflight: (options?: ReleaseOptions) => PreflightFailure[],
+ *     plan: (options?: ReleaseOptions) => ReleasePlan,
+ *     update: (options?: ReleaseOptions) => ReleaseResult,
+ *     release: (options?: ReleaseOptions) => ReleaseResult,
+ *     publish: (options?: ReleaseOptions) => ReleaseResult,
+ *     resume: () => ReleaseResult,
+ *     history: (options?: HistoryOptions) => HistoryEntry[],
+ *     compare: (from: string, to: string, options?: HistoryOptions) => PackComparison,
+ *     import: (filePath: string, options?: { keepRemoved?: boolean }) => void,
+ *     export: (outDir: string, options?: { profile?: string, formats?: string[] }) => string[],
+ *     changelog: (options?: { force?: boolean }) => number,
+ *     readme: () => string[],
+ *     deprecated: () => DeprecatedExtension[],
+ *     refreshCatalog: (exportPaths: string[]) => { refreshed: string[], missing: string[] }
+ * }} Releaser
+ */
 
 /**
  * An object containing the project metadata used by the script
  * @typedef {{
+ *     profile: Profile | null,
  *     extensionFiles: string[],
  *     packageJsonPath: string,
+ *     changelogPath: string,
  *     packageJson: Object,
  *     currentVersion: string,
  *     updatedVersion: string,
  *     currentExtensions: string[],
  *     updatedExtensions: string[],
+ *     changedFiles: string[],
+ *     marketplacePreRelease: boolean,
+ *     changeSet: ChangeSet,
  *     message: string
  * }} ExtensionPackData
  */
 
 /**
- * Lists all files and directories in a directory recursively
- *
- * @param {string} dir - The directory to list
- * @param {string[]} [ignore = []] - The list of files and directories to ignore
- * @returns {string[]} The list of files and directories
+ * An error thrown when the user declines to go on with the release. The release is rolled back.
  */
-function listProjectDir(dir, ignore = []) {
-    try {
-        const list = [];
-
-        for (const item of fs.readdirSync(dir)) {
-            if (ignore.includes(item)) continue;
-            if (fs.statSync(path.join(dir, item)).isDirectory()) list.push(...listProjectDir(path.join(dir, item), ignore));
-            else list.push(path.join(dir, item));
-        }
+class ReleaseAbortedError extends LoggerErrorHandler {
+    /** @type {string} */
+    operation;
 
-        return list;
-    } catch (error) {
-        throw new LoggerErrorHandler('Failed to list directory', error.message);
+    /**
+     * @param {string} operation - The operation the user declined, e.g. `commitProjectFiles`
+     */
+    constructor(operation) {
+        super('Aborted! No changes applied.', `User aborted the operation \`${operation}\`.`);
+        this.name = 'ReleaseAbortedError';
+        this.operation = operation;
     }
 }
 
 /**
- * Gets the project files
- *
- * @param {string[]} extensionFiles - The paths to the extension files
- * @returns {string[]} The list of project files
+ * An error thrown when a previous release did not finish and must be resumed first
  */
-function getProjectFiles(extensionFiles) {
-    try {
-        let ignore = ['.git'];
-        if (fs.existsSync(path.join(process.cwd(), '.gitignore'))) {
-            ignore = [...ignore, ...fs.readFileSync(path.join(process.cwd(), '.gitignore'), 'utf8').split('\n')];
-        }
-        return listProjectDir(process.cwd(), ignore)
-            .filter((file) => !extensionFiles.some((ext) => path.resolve(file).endsWith(path.resolve(ext))))
-            .map((file) => path.relative(process.cwd(), file));
-    } catch (error) {
-        throw new LoggerErrorHandler('Failed to get project files', error.message);
+class ReleaseInProgressError extends LoggerErrorHandler {
+    constructor() {
+        super('A previous release did not finish', 'Run the release with --resume to roll it back and retry it.');
+        this.name = 'ReleaseInProgressError';
     }
 }
 
 /**
- * Reads and returns the contents of a JSON file
- *
- * @param {string} filePath - Path to the file
- * @returns {Object} Parsed JSON file content
+ * An error thrown when the recommended extensions do not pass the validation
  */
-function readJsonFile(filePath) {
-    try {
-        const content = fs
-            .readFileSync(filePath, 'utf8')
-            .split('\n')
-            .filter((line) => line.trim() !== '' && !line.trim().startsWith('//'))
-            .join('\n');
-        const json = JSON.parse(content);
-        return json;
-    } catch (err) {
-        throw new LoggerErrorHandler(`Failed to read file: ${filePath}`, err.message);
+class ExtensionValidationError extends LoggerErrorHandler {
+    /** @type {string[]} */
+    errors;
+
+    /** @type {string[]} */
+    warnings;
+
+    /**
+     * @param {ValidationResult} result - The errors and warnings found
+     */
+    constructor({ errors, warnings }) {
+        super('Extension list validation failed', `${errors.length} error(s) found in the recommended extensions.`);
+        this.name = 'ExtensionValidationError';
+        this.errors = errors;
+        this.warnings = warnings;
     }
 }
 
 /**
- * Merges current extensions with new recommendations
- *
- * @param {string[]} currentExtensions - Current list of extensions
- * @param {string[]} newExtensions - List of new recommended extensions
- * @returns {string[]} Merged list of extensions
+ * An error thrown when the extension packs ship deprecated extensions and the release refuses them
  */
-function mergeExtensions(currentExtensions, newExtensions) {
-    try {
-        return [
-            ...currentExtensions.filter((ext) => newExtensions.includes(ext)),
-            ...newExtensions.filter((ext) => !currentExtensions.includes(ext))
-        ].sort();
-    } catch (err) {
-        throw new LoggerErrorHandler('Failed to merge extensions', err.message);
+class DeprecatedExtensionError extends LoggerErrorHandler {
+    /** @type {DeprecatedExtension[]} */
+    extensions;
+
+    /**
+     * @param {DeprecatedExtension[]} extensions - The deprecated extensions found
+     */
+    constructor(extensions) {
+        super(
+            'The extension packs ship deprecated extensions',
+            `${extensions.length} deprecated extension(s) found. Replace them or set "catalog.refuseDeprecated" to false to only warn.`
+        );
+        this.name = 'DeprecatedExtensionError';
+        this.extensions = extensions;
     }
 }
 
 /**
- * Shows the diff between the current and updated extensions
- *
- * @param {string[]} currentExtensions - Current list of extensions
- * @param {string[]} updatedExtensions - Updated list of extensions
- * @returns {string} The diff message
+ * An error thrown when preflight checks fail and the release is not forced
  */
-function getCommitMessageByExtensionListChanges(currentExtensions, updatedExtensions) {
-    let message = '';
-    const list = [];
+class PreflightError extends LoggerErrorHandler {
+    /** @type {PreflightFailure[]} */
+    failures;
 
-    try {
-        for (const ext of currentExtensions) {
-            if (updatedExtensions.includes(ext)) list.push(ext + '|keep');
-            else list.push(ext + '|remove');
-        }
-
-        for (const ext of updatedExtensions) {
-            if (!currentExtensions.includes(ext)) list.push(ext + '|add');
-        }
-
-        if (list.filter((ext) => !ext.endsWith('|keep')).length === 0) return message;
-
-        message += 'feat(extension): Updates to v{{version}}\n\nNew extension list:\n';
+    /**
+     * @param {PreflightFailure[]} failures - The failed checks
+     */
+    constructor(failures) {
+        super('Preflight checks failed', `${failures.length} check(s) failed. Fix them, skip them or use --force to release anyway.`);
+        this.name = 'PreflightError';
+        this.failures = failures;
+    }
+}
 
-        for (const ext of list.sort()) {
-            const [name, action] = ext.split('|');
+/**
+ * An error thrown when an extension pack cannot be packaged or published. Its package and tag are removed.
+ */
+class PublishError extends LoggerErrorHandler {
+    /** @type {string} */
+    tag;
 
-            switch (action) {
-                case 'keep':
-                    message += colorize('white', `  • ${name}\n`);
-                    break;
-                case 'remove':
-                    message += colorize('red', `  - ${name}\n`);
-                    break;
-                case 'add':
-                    message += colorize('green', `  + ${name}\n`);
-                    break;
-            }
-        }
+    /**
+     * @param {string} tag - The tag of the release
+     * @param {Error & { verboseContent?: string }} error - The error of the failed step
+     * @param {string[]} [removed = []] - What the failed step left and was removed, e.g. the package and the tag
+     * @param {boolean} [rolledBack = false] - Whether the unpublished release commits are rolled back, as `release` does
+     */
+    constructor(tag, error, removed = [], rolledBack = false) {
+        const commits = rolledBack ? 'The unpublished release commits were rolled back' : 'The release commits were kept';
+        const cleanup = removed.length > 0 ? `, ${removed.join(' and ')} ${removed.length > 1 ? 'were' : 'was'} removed` : '';
 
-        return message;
-    } catch (err) {
-        throw new LoggerErrorHandler('Failed to get commit message', err.message);
+        super('Failed to publish the extension pack', `${error.message}\n${error.verboseContent ?? ''}\n${commits}${cleanup}.`);
+        this.name = 'PublishError';
+        this.tag = tag;
     }
 }
 
 /**
- * Increases the version of the package
+ * Gets the project files: the tracked files and the untracked files that are not ignored, as git sees them
+ * (.gitignore files at any level, `.git/info/exclude` and `core.excludesFile`), minus the extension files.
  *
- * @param {string} version - The current version of the package
- * @param {'major' | 'minor' | 'patch'} type - The type of version to increase
- * @returns {string} The increased version
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {string[]} extensionFiles - The paths to the extension files
+ * @param {{ include?: string[], exclude?: string[] }} [patterns = {}] - Extra glob patterns, relative to the project root.
+ * If `include` is set, only the files matching any of its patterns are project files. The files matching `exclude` never are.
+ * @returns {string[]} The list of project files
  */
-function increaseVersion(version, type) {
-    const [major, minor, patch] = version.split('.').map(Number);
+function getProjectFiles(ctx, extensionFiles, patterns = {}) {
+    try {
+        const pathspecs = [
+            ...(patterns.include ?? []).map((pattern) => `:(top,glob)${pattern}`),
+            ...(patterns.exclude ?? []).map((pattern) => `:(top,exclude,glob)${pattern}`)
+        ];
+        const excluded = new Set(
+            extensionFiles.map((file) => path.relative(ctx.cwd, path.resolve(ctx.cwd, file)).split(path.sep).join('/'))
+        );
 
-    switch (type) {
-        case 'major':
-            return `${major + 1}.0.0`;
-        case 'minor':
-            return `${major}.${minor + 1}.0`;
-        case 'patch':
-            return `${major}.${minor}.${patch + 1}`;
-        default:
-            return version;
+        return ctx.git
+            .exec(['ls-files', '-z', '--cached', '--others', '--exclude-standard', '--deduplicate', '--', ...pathspecs])
+            .split('\0')
+            .filter((file) => file !== '' && !excluded.has(file));
+    } catch (error) {
+        throw new LoggerErrorHandler('Failed to get project files', [error.message, error.verboseContent].filter(Boolean).join('\n'));
     }
 }
 
 /**
- * Bumps the version of the package
+ * Gets the bump level of the release from the changes in the extension list and the bump rules of the config.
+ * By default, removing an extension is a breaking change (major), adding one is a feature (minor), anything else is a patch.
+ * If the release both adds and removes extensions, the highest of their levels is used.
  *
  * @param {ExtensionPackData} data - The data of the extension pack
+ * @param {ReleaseConfig['bumpRules']} [rules = DEFAULT_RELEASE_CONFIG.bumpRules] - The bump level of each kind of change
+ * @returns {BumpLevel} The bump level
  */
-function bumpVersion(data) {
-    const lines = removeANSI(data.message).split('\n') ?? [];
-    let versionType = 'patch';
+function getBumpLevel(data, rules = DEFAULT_RELEASE_CONFIG.bumpRules) {
+    const { added, removed } = getExtensionListChanges(data.currentExtensions, data.updatedExtensions);
+    const levels = [...(removed.length > 0 ? [rules.removed] : []), ...(added.length > 0 ? [rules.added] : [])];
 
-    if (lines.some((l) => l.trim().startsWith('-'))) versionType = 'major';
-    else if (lines.some((l) => l.trim().startsWith('+'))) versionType = 'minor';
+    if (levels.length === 0) return rules.changed;
 
-    try {
-        data.updatedVersion = increaseVersion(data.currentVersion, versionType);
-    } catch (err) {
-        throw new LoggerErrorHandler('Failed to bump version', err.message);
-    }
+    return levels.reduce((highest, level) => (BUMP_LEVELS.indexOf(level) > BUMP_LEVELS.indexOf(highest) ? level : highest));
 }
 
-function execGitCommand(command) {
+/**
+ * Bumps the version of the package
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ExtensionPackData} data - The data of the extension pack
+ * @param {VersionOptions} [options = {}] - Overrides the bump level and sets the pre-release tag of the version
+ */
+function bumpVersion(ctx, data, options = {}) {
     try {
-        return execSync(command, { encoding: 'utf-8' });
-    } catch (error) {
-        throw new LoggerErrorHandler('Git command failed', `Command: ${command}\nError: ${error.message}`);
+        const level = options.bump ?? getBumpLevel(data, ctx.config.bumpRules);
+
+        data.updatedVersion = increaseVersion(data.currentVersion, level, options.prerelease ?? null);
+    } catch (err) {
+        throw new LoggerErrorHandler('Failed to bump version', err.message);
     }
 }
 
 /**
- * Adds additional info to the message
+ * Gets the files that differ from HEAD (including untracked ones) without touching the index
  *
- * @param {ExtensionPackData} data - The data of the extension pack
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {string[]} files - The paths to check
+ * @returns {string[]} The changed files
  */
-function addAdditionalInfoToMessage(data) {
-    execGitCommand(`git add ${data.extensionFiles.join(' ')}`);
-
-    const stagedFiles = getStagedFiles();
-    const hasMessage = data.message.trim() !== '';
+function getChangedFiles(ctx, files) {
+    if (files.length === 0) return [];
 
-    if (stagedFiles.filter((f) => (hasMessage ? !f.includes('package.json') : true)).length > 0) {
-        if (hasMessage) data.message += '\n\n';
-        else data.message = 'feat(extension): Updates to v{{version}}\n\n';
-
-        data.message += getCommitMessageByStagedFiles(stagedFiles, 'Extension files updated:');
-    }
+    const output =
+        ctx.git.exec(['diff', '--name-only', 'HEAD', '--', ...files]) +
+        ctx.git.exec(['ls-files', '--others', '--exclude-standard', '--', ...files]);
 
-    execGitCommand('git restore --staged .');
+    return [...new Set(output.split('\n').filter((file) => file.trim() !== ''))].sort();
 }
 
 /**
  * Gets the staged files
  *
+ * @param {ReleaseContext} ctx - The context of the release
  * @returns {string[]} The staged files
  */
-function getStagedFiles() {
+function getStagedFiles(ctx) {
     return (
-        execGitCommand(`git diff --name-only --cached .`)
-            .toString()
+        ctx.git
+            .exec(['diff', '--name-only', '--cached', '--', '.'])
             .split('\n')
             .filter((file) => file.trim() !== '') ?? []
     );
@@ -240,43 +485,178 @@ function getStagedFiles() {
  * @returns {string} The commit message
  */
 function getCommitMessageByStagedFiles(stagedFiles, title) {
-    const message = stagedFiles.length > 0 ? title + '\n\n- ' + stagedFiles.join('\n- ') + '\n' : '';
-    return message.replace(/"/g, '\\"');
+    return stagedFiles.length > 0 ? title + '\n\n- ' + stagedFiles.join('\n- ') + '\n' : '';
+}
+
+/**
+ * Validates the recommended extensions against the ID format, duplicates, casing and the rules in extension-rules.json.
+ * Warnings are logged, errors block the release.
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {string[]} extensions - The recommended extensions
+ * @param {string[]} [unwanted = []] - The unwanted extensions
+ * @returns {ValidationResult} The warnings found, there are no errors
+ * @throws {ExtensionValidationError} If any error is found
+ */
+function validateExtensionList(ctx, extensions, unwanted = []) {
+    const result = validateExtensions(extensions, readExtensionRules(path.join(ctx.cwd, 'extension-rules.json')), unwanted);
+
+    for (const message of result.warnings) ctx.logger.warning(message);
+    for (const message of result.errors) ctx.logger.error(message);
+
+    if (result.errors.length > 0) throw new ExtensionValidationError(result);
+
+    return result;
+}
+
+/**
+ * Warns about the deprecated extensions the extension packs ship, according to the extension metadata, with their replacement.
+ * Their Marketplace status is refreshed from a Marketplace export, so nothing is checked if it never was.
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ExtensionPackData[]} packs - The data of the extension packs
+ * @param {boolean} [refuse = false] - Throws instead of only warning
+ * @returns {DeprecatedExtension[]} The deprecated extensions found
+ * @throws {DeprecatedExtensionError} If `refuse` is set and a deprecated extension is found
+ */
+function checkDeprecatedExtensions(ctx, packs, refuse = false) {
+    const metadata = readExtensionMetadata(getExtensionMetadataPath(ctx.cwd));
+    const found = [];
+
+    if (!Object.values(metadata).some((entry) => entry.deprecated !== undefined)) return found;
+
+    const log = refuse ? ctx.logger.error : ctx.logger.warning;
+
+    for (const data of packs) {
+        const name = data.packageJson.name;
+        const shipped = data.updatedExtensions.map((ext) => ext.toLowerCase());
+
+        for (const ext of findDeprecatedExtensions(data.updatedExtensions, metadata)) {
+            if (ext.replacement === null) {
+                log('{{0}} ships {{1}}, which is deprecated.', null, name, ext.id);
+            } else if (shipped.includes(ext.replacement)) {
+                log(
+                    '{{0}} ships {{1}}, which is deprecated. Its replacement {{2}} is already in the pack.',
+                    null,
+                    name,
+                    ext.id,
+                    ext.replacement
+                );
+            } else {
+                log('{{0}} ships {{1}}, which is deprecated. Replace it with {{2}}.', null, name, ext.id, ext.replacement);
+            }
+
+            if (!found.some((item) => item.id === ext.id)) found.push(ext);
+        }
+    }
+
+    const uncataloged = [...new Set(packs.flatMap((data) => findUncatalogedExtensions(data.updatedExtensions, metadata)))];
+
+    if (uncataloged.length > 0) {
+        ctx.logger.info(
+            'Not checked against the Marketplace yet: {{0}}',
+            'They may be unpublished or added since the last refresh. Refresh them with `pnpm ext:catalog --refresh <export.json>`.',
+            uncataloged.join(', ')
+        );
+    }
+
+    if (refuse && found.length > 0) throw new DeprecatedExtensionError(found);
+
+    return found;
+}
+
+/**
+ * Lets the user accept or reject each extension added to or removed from the pack.
+ * Additions are accepted by default, removals only with `allowRemovals`, since removing one is a breaking change (major bump)
+ * that uninstalls it for every user of the pack. Rejected additions are left out and rejected removals are kept in the pack.
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {string[]} currentExtensions - The extensions currently in the pack
+ * @param {string[]} updatedExtensions - The merged extension list
+ * @param {string} packName - The name of the extension pack
+ * @param {boolean} [allowRemovals = false] - Accepts the removals by default
+ * @returns {string[]} The extension list with only the accepted changes
+ */
+function reviewExtensionChanges(ctx, currentExtensions, updatedExtensions, packName, allowRemovals = false) {
+    const { added, removed } = getExtensionListChanges(currentExtensions, updatedExtensions);
+
+    if (added.length === 0 && removed.length === 0) return updatedExtensions;
+
+    if (removed.length > 0) {
+        ctx.logger.warning(
+            'Removing extensions from {{0}} is a breaking change and bumps the major version.',
+            `Removed extensions: ${removed.join(', ')}`,
+            packName
+        );
+    }
+
+    const choices = [
+        ...added.map((ext) => ({ value: ext, label: colorize('green', `+ ${ext}`) })),
+        ...removed.map((ext) => ({ value: ext, label: colorize('red', `- ${ext}`) }))
+    ];
+    const accepted = ctx.prompt.multiSelect(`Changes to apply to ${packName}:`, choices, {
+        defaultValues: allowRemovals ? choices.map((choice) => choice.value) : added,
+        name: `reviewExtensions:${packName}`,
+        logger: ctx.logger.question
+    });
+
+    const rejectedAdditions = added.filter((ext) => !accepted.includes(ext));
+    const rejectedRemovals = removed.filter((ext) => !accepted.includes(ext));
+
+    if (rejectedAdditions.length > 0) ctx.logger.info('Left out of {{0}}: {{1}}', null, packName, rejectedAdditions.join(', '));
+    if (rejectedRemovals.length > 0) ctx.logger.info('Kept in {{0}}: {{1}}', null, packName, rejectedRemovals.join(', '));
+
+    return [...updatedExtensions.filter((ext) => !rejectedAdditions.includes(ext)), ...rejectedRemovals].sort();
 }
 
 /**
  * Gets the data of the extension pack
  *
+ * @param {ReleaseContext} ctx - The context of the release
  * @param {string[]} extensionFiles - The paths to the extension files
+ * @param {Profile?} [profile = null] - The profile of the extension pack. If not provided, the default extension pack is used
+ * @param {ReleaseOptions} [options = {}] - The options of the release
+ * @param {boolean} [review = false] - Lets the user accept or reject each change to the extension list
  * @returns {ExtensionPackData} The data of the extension pack
  */
-function getExtensionPackData(extensionFiles) {
+function getExtensionPackData(ctx, extensionFiles, profile = null, options = {}, review = false) {
     try {
-        const packageJsonPath = path.join(process.cwd(), 'package.json');
-        const extensionsJsonPath = path.join(process.cwd(), '.vscode', 'extensions.json');
+        const rootPackageJsonPath = path.join(ctx.cwd, 'package.json');
+        const extensionsJsonPath = path.join(ctx.cwd, ctx.config.extensionsJson);
 
-        const packageJson = readJsonFile(packageJsonPath);
+        const packageJsonPath = profile?.packageJsonPath ?? rootPackageJsonPath;
+        const changelogPath = profile?.changelogPath ?? path.join(ctx.cwd, 'CHANGELOG.md');
+        const packageJson = profile ? getProfileManifest(profile, readJsonFile(rootPackageJsonPath)) : readJsonFile(packageJsonPath);
         const extensions = readJsonFile(extensionsJsonPath);
 
         const currentVersion = packageJson.version;
         const currentExtensions = packageJson.extensionPack;
         const newExtensions = extensions.recommendations;
-        const updatedExtensions = mergeExtensions(currentExtensions, newExtensions);
-        let message = getCommitMessageByExtensionListChanges(currentExtensions, updatedExtensions);
+        const pinned = readExtensionRules(path.join(ctx.cwd, 'extension-rules.json')).pinned;
+        const profileExtensions = profile ? filterExtensionsByProfile(newExtensions, profile, ctx.cwd) : newExtensions;
+        let updatedExtensions = mergeExtensions(currentExtensions, profileExtensions, {
+            pinned: profile ? filterExtensionsByProfile(pinned, profile, ctx.cwd) : pinned,
+            unwanted: extensions.unwantedRecommendations
+        });
+
+        if (review) {
+            updatedExtensions = reviewExtensionChanges(ctx, currentExtensions, updatedExtensions, packageJson.name, options.allowRemovals);
+        }
 
         const data = {
+            profile,
             extensionFiles,
             packageJsonPath,
+            changelogPath,
             packageJson,
             currentVersion,
             currentExtensions,
             updatedExtensions,
-            message
+            marketplacePreRelease: options.marketplacePreRelease ?? false
         };
 
-        bumpVersion(data);
-        addAdditionalInfoToMessage(data);
-        data.message = data.message.replace('{{version}}', data.updatedVersion);
+        bumpVersion(ctx, data, options);
+        setChangedFiles(ctx, data, getChangedFiles(ctx, extensionFiles));
 
         return data;
     } catch (err) {
@@ -284,6 +664,27 @@ function getExtensionPackData(extensionFiles) {
     }
 }
 
+/**
+ * Sets the changed extension files of an extension pack, with the change set and the commit message they make
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ExtensionPackData} data - The data of the extension pack
+ * @param {string[]} changedFiles - The extension files of the pack that differ from HEAD
+ */
+function setChangedFiles(ctx, data, changedFiles) {
+    data.changedFiles = changedFiles;
+    data.changeSet = createChangeSet({
+        name: data.packageJson.name,
+        scope: data.profile?.id ?? ctx.config.messages.scope,
+        previousVersion: data.currentVersion,
+        version: data.updatedVersion,
+        currentExtensions: data.currentExtensions,
+        updatedExtensions: data.updatedExtensions,
+        changedFiles
+    });
+    data.message = hasChanges(data.changeSet) ? renderCommitMessage(data.changeSet, ctx.config.messages) : '';
+}
+
 /**
  * Checks if there are changes in the extension list by comparing the current and updated extensions
  *
@@ -307,21 +708,53 @@ function updatePackageJson(data) {
         data.packageJson.version = data.updatedVersion;
         data.packageJson.extensionPack = data.updatedExtensions;
 
-        fs.writeFileSync(data.packageJsonPath, JSON.stringify(data.packageJson, null, 4));
+        fs.writeFileSync(data.packageJsonPath, getUpdatedPackageJsonContent(data));
     } catch (err) {
         throw new LoggerErrorHandler('Error updating package.json', err.message);
     }
 }
 
 /**
- * Updates the extension list in package.json based on recommendations from extensions.json file
+ * Gets the content package.json will have after the update, without changing it.
+ * Only `version` and `extensionPack` are rewritten, the rest of the file is kept as is.
  *
  * @param {ExtensionPackData} data - The data of the extension pack
+ * @returns {string} The updated package.json content
  */
-function updateExtensionPack(data) {
+function getUpdatedPackageJsonContent(data) {
+    const properties = { version: data.updatedVersion, extensionPack: data.updatedExtensions };
+
+    if (!fs.existsSync(data.packageJsonPath)) return JSON.stringify({ ...data.packageJson, ...properties }, null, 4) + '\n';
+
+    return setJsoncProperties(fs.readFileSync(data.packageJsonPath, 'utf8'), properties);
+}
+
+/**
+ * Updates the extension list in package.json based on recommendations from extensions.json file,
+ * with the changelog and, for the default extension pack, the extension table of the README
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ExtensionPackData} data - The data of the extension pack
+ * @returns {boolean} True if the extension pack was updated, false if there was nothing to update
+ */
+function updateExtensionPack(ctx, data) {
     try {
-        if (!hasChangesOnExtensionList(data) && data.message.trim() === '') info('No changes needed in `package.json` file.');
-        else updatePackageJson(data);
+        if (!hasChangesOnExtensionList(data) && !hasChanges(data.changeSet)) {
+            ctx.logger.info('No changes needed in `package.json` file.');
+            return false;
+        }
+
+        updatePackageJson(data);
+        updateChangelog(data);
+
+        if (!data.profile) {
+            const missing = updateReadme(data.updatedExtensions, ctx.cwd);
+
+            if (missing.length > 0)
+                ctx.logger.warning('Extensions without metadata in extension-metadata.json: {{0}}', null, missing.join(', '));
+        }
+
+        return true;
     } catch (err) {
         throw new LoggerErrorHandler('Failed to update extension pack', err.message);
     }
@@ -330,104 +763,894 @@ function updateExtensionPack(data) {
 /**
  * Commits the changes in the project files
  *
+ * @param {ReleaseContext} ctx - The context of the release
  * @param {string[]} projectFiles - The paths to the project files that must be excluded from the commit
- * @returns {boolean} True if the changes were committed, false otherwise
+ * @returns {string | null} The hash of the commit, or null if there was nothing to commit
+ * @throws {ReleaseAbortedError} If the user declines the commit
  */
-function commitProjectFiles(projectFiles) {
+function commitProjectFiles(ctx, projectFiles) {
     try {
-        execGitCommand(`git add ${projectFiles.join(' ')}`);
+        ctx.git.exec(['add', '--', ...projectFiles]);
 
-        const message = getCommitMessageByStagedFiles(getStagedFiles(), 'chore: Updated project files');
+        const message = getCommitMessageByStagedFiles(getStagedFiles(ctx), ctx.config.messages.projectFiles);
 
         if (message.trim() === '') {
-            info('No changes to commit for project files.');
-            return false;
+            ctx.logger.info('No changes to commit for project files.');
+            return null;
         }
 
-        info('The following changes will be applied:\n', message);
-        console.log(message);
-        if (!confirm('Do you want to apply the changes?', question)) {
-            execGitCommand('git restore --staged .');
-            info('Aborted! No changes applied.', 'User aborted the operation `commitProjectFiles`.');
-            process.exit(0);
+        ctx.logger.info(`The following changes will be applied:\n\n${message}`);
+        if (!ctx.prompt.confirm('Do you want to apply the changes?', ctx.logger.question, 'commitProjectFiles')) {
+            throw new ReleaseAbortedError('commitProjectFiles');
         }
 
-        execGitCommand(`git commit -m "${message}"`);
+        ctx.git.commit(message);
 
-        return true;
+        return ctx.git.exec(['rev-parse', 'HEAD']).trim();
     } catch (err) {
-        execGitCommand('git restore --staged .');
-        throw new LoggerErrorHandler('Failed to commit project files', err.message);
+        ctx.git.exec(['restore', '--staged', '--', '.']);
+        if (err instanceof ReleaseAbortedError) throw err;
+        throw new LoggerErrorHandler('Failed to commit project files', [err.message, err.verboseContent].filter(Boolean).join('\n'));
     }
 }
 
+/**
+ * The choices offered before committing the extension files
+ * @type {import('./utils.js').PromptChoice[]}
+ */
+const COMMIT_ACTIONS = [
+    { value: 'commit', label: 'Commit the changes' },
+    { value: 'edit', label: 'Edit the commit message' },
+    { value: 'abort', label: 'Abort' }
+];
+
 /**
  * Commits the changes to the extension files
  *
+ * @param {ReleaseContext} ctx - The context of the release
  * @param {ExtensionPackData} data - The data of the extension pack
- * @returns {boolean} True if the changes were committed, false otherwise
+ * @returns {string | null} The hash of the commit, or null if there was nothing to commit
+ * @throws {ReleaseAbortedError} If the user aborts the commit
  */
-function commitExtensionFiles(data) {
+function commitExtensionFiles(ctx, data) {
     try {
-        execGitCommand(`git add .`);
+        ctx.git.exec(['add', '-A', '--', ...data.extensionFiles.filter((file) => fs.existsSync(path.resolve(ctx.cwd, file)))]);
 
         if (data.message.trim() === '') {
-            info('No changes to commit for extension files.');
-            return false;
+            ctx.logger.info('No changes to commit for extension files.');
+            return null;
         }
 
-        info('The following changes will be applied:\n', data.message);
-        console.log(data.message);
-        if (!confirm('Do you want to apply the changes?', question)) {
-            execGitCommand('git restore --staged .');
-            info('Aborted! No changes applied.', 'User aborted the operation `commitExtensionFiles`.');
-            process.exit(0);
+        let action;
+        let edited = false;
+
+        // After an edit, the prompt is asked under another name so that a scripted `edit` answer does not loop
+        do {
+            const preview = edited ? data.message : renderTerminalPreview(data.changeSet, ctx.config.messages);
+
+            ctx.logger.info(`The following changes will be applied:\n\n${preview}`);
+
+            action = ctx.prompt.select('What do you want to do?', COMMIT_ACTIONS, {
+                defaultValue: 'commit',
+                cancelValue: 'abort',
+                name: edited ? 'commitEditedMessage' : 'commitExtensionFiles',
+                logger: ctx.logger.question
+            });
+
+            if (action === 'edit') {
+                data.message = ctx.prompt.editMessage(data.message, 'commitMessage');
+                edited = true;
+            }
+        } while (action === 'edit');
+
+        if (action === 'abort') throw new ReleaseAbortedError('commitExtensionFiles');
+
+        ctx.git.commit(data.message);
+
+        return ctx.git.exec(['rev-parse', 'HEAD']).trim();
+    } catch (err) {
+        ctx.git.exec(['restore', '--staged', '--', '.']);
+        if (err instanceof ReleaseAbortedError) throw err;
+        throw new LoggerErrorHandler('Failed to commit changes', [err.message, err.verboseContent].filter(Boolean).join('\n'));
+    }
+}
+
+/**
+ * Executes a vsce command with the vsce set in the release config
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {string[]} args - The arguments to pass to vsce
+ * @param {string} cwd - The directory of the extension to package
+ * @returns {string} The output of the command
+ */
+function execVsceCommand(ctx, args, cwd) {
+    const vsce = ctx.config.vsce.endsWith('.js') ? path.resolve(ctx.cwd, ctx.config.vsce) : ctx.config.vsce;
+    const [command, commandArgs] = vsce.endsWith('.js') ? [process.execPath, [vsce, ...args]] : [vsce, args];
+
+    try {
+        return execFileSync(command, commandArgs, { cwd, encoding: 'utf-8', shell: process.platform === 'win32' });
+    } catch (error) {
+        throw new LoggerErrorHandler('vsce command failed', `Command: ${vsce} ${args.join(' ')}\nError: ${error.stderr || error.message}`);
+    }
+}
+
+/**
+ * Gets the path of the .vsix package of the extension pack
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ExtensionPackData} data - The data of the extension pack
+ * @returns {string} The path of the .vsix package
+ */
+function getVsixPath(ctx, data) {
+    return path.join(ctx.cwd, `${data.packageJson.name}-${data.updatedVersion}.vsix`);
+}
+
+/**
+ * Gets the git tag of the release. Profiles are prefixed with their ID, so their versions do not clash.
+ *
+ * @param {ExtensionPackData} data - The data of the extension pack
+ * @returns {string} The tag of the release
+ */
+function getReleaseTag(data) {
+    return data.profile ? `${data.profile.id}-v${data.updatedVersion}` : `v${data.updatedVersion}`;
+}
+
+/**
+ * Gets the directory vsce packages the extension pack from.
+ * The default extension pack is packaged from the project root. The files of a profile are copied to a temporary
+ * directory, with its own manifest and changelog, since vsce only packages files under the manifest's directory.
+ * The root README describes the default extension pack, so a profile gets a README generated from its own manifest.
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ExtensionPackData} data - The data of the extension pack
+ * @returns {{ dir: string, files: string[] }} The directory and the files expected in the package
+ */
+function stagePackage(ctx, data) {
+    if (!data.profile) return { dir: ctx.cwd, files: data.extensionFiles };
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${data.packageJson.name}-`));
+    const sources = {
+        'package.json': data.packageJsonPath,
+        'CHANGELOG.md': data.changelogPath,
+        LICENSE: path.join(ctx.cwd, 'LICENSE')
+    };
+
+    if (data.packageJson.icon) sources[data.packageJson.icon] = path.join(ctx.cwd, data.packageJson.icon);
+
+    for (const [file, source] of Object.entries(sources)) {
+        if (!fs.existsSync(source)) continue;
+
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.copyFileSync(source, path.join(dir, file));
+    }
+
+    fs.writeFileSync(path.join(dir, 'README.md'), renderProfileReadme(data.packageJson, data.updatedExtensions, ctx.cwd));
+
+    return { dir, files: [...Object.keys(sources), 'README.md'] };
+}
+
+/**
+ * Checks that the .vsix package contains the expected files and manifest
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ExtensionPackData} data - The data of the extension pack
+ * @param {string} vsixPath - The path of the .vsix package
+ * @param {string[]} expectedFiles - The files the package may contain
+ */
+function verifyPackage(ctx, data, vsixPath, expectedFiles) {
+    if (!fs.existsSync(vsixPath)) throw new LoggerErrorHandler('Package not found', `vsce did not create ${vsixPath}`);
+
+    const entries = readZipEntries(vsixPath);
+    const findEntry = (file) => entries.find((entry) => entry.name.toLowerCase() === `extension/${file}`.toLowerCase());
+    const requiredFiles = ['package.json', 'README.md', data.packageJson.icon].filter(Boolean);
+    const missingFiles = requiredFiles.filter((file) => !findEntry(file));
+
+    if (missingFiles.length > 0) {
+        throw new LoggerErrorHandler('The package is missing required files', `Missing files:\n- ${missingFiles.join('\n- ')}`);
+    }
+
+    const manifest = JSON.parse(findEntry('package.json').read().toString('utf8'));
+
+    if (manifest.version !== data.updatedVersion) {
+        throw new LoggerErrorHandler(
+            'The packaged version does not match the release version',
+            `Expected: ${data.updatedVersion}\nPackaged: ${manifest.version}`
+        );
+    }
+
+    if (JSON.stringify(manifest.extensionPack) !== JSON.stringify(data.updatedExtensions)) {
+        throw new LoggerErrorHandler('The packaged extension list does not match the release extension list');
+    }
+
+    const unexpectedFiles = entries
+        .map((entry) => entry.name)
+        .filter((name) => name.startsWith('extension/') && !name.endsWith('/'))
+        .map((name) => name.slice('extension/'.length))
+        .filter((name) => !/^license/i.test(name) && !expectedFiles.some((file) => file.toLowerCase() === name.toLowerCase()));
+
+    if (unexpectedFiles.length > 0) {
+        ctx.logger.warning(
+            'The package contains files that are not extension files.',
+            `Unexpected files:\n- ${unexpectedFiles.join('\n- ')}`
+        );
+    }
+}
+
+/**
+ * Publishes the extension pack: packages the .vsix with vsce, checks its content, tags the release and publishes it.
+ * If any step fails, the package and the tag it created are removed. The release commits are left to the caller.
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ExtensionPackData} data - The data of the extension pack
+ * @param {boolean} [rollback = false] - Whether the caller rolls back the release commits if the publication fails
+ * @returns {{ tag: string, published: boolean }} The tag of the release, and whether it was published or only tagged
+ * @throws {PublishError} If the extension pack cannot be packaged, tagged or published
+ */
+function publish(ctx, data, rollback = false) {
+    const tag = getReleaseTag(data);
+    const vsixPath = getVsixPath(ctx, data);
+    let stage = null;
+    let packaging = false;
+    let tagCreated = false;
+
+    try {
+        if (ctx.git.exec(['tag', '--list', tag]).trim() !== '') {
+            throw new LoggerErrorHandler(
+                'Tag already exists',
+                `The tag ${tag} already exists. Remove it or bump the version before publishing.`
+            );
         }
 
-        execGitCommand(`git commit -m "${data.message}"`);
+        if (isPrerelease(data.updatedVersion)) {
+            ctx.git.exec(['tag', '-a', tag, '-m', `Release ${tag}`]);
+            ctx.logger.warning(
+                'Created tag {{0}} without publishing: the Marketplace only accepts major.minor.patch versions.',
+                'Use --marketplace-pre-release to publish a Marketplace pre-release instead.',
+                tag
+            );
 
-        return true;
+            return { tag, published: false };
+        }
+
+        const preReleaseArgs = data.marketplacePreRelease ? ['--pre-release'] : [];
+
+        ctx.logger.info('Packaging {{0}}...', null, path.basename(vsixPath));
+        stage = stagePackage(ctx, data);
+        packaging = true;
+        execVsceCommand(ctx, ['package', '--out', vsixPath, ...preReleaseArgs], stage.dir);
+        verifyPackage(ctx, data, vsixPath, stage.files);
+
+        ctx.git.exec(['tag', '-a', tag, '-m', `Release ${tag}`]);
+        tagCreated = true;
+
+        ctx.logger.info('Publishing {{0}}...', null, tag);
+        execVsceCommand(ctx, ['publish', '--packagePath', vsixPath, ...preReleaseArgs], ctx.cwd);
+
+        ctx.logger.success('Published {{0}} and created tag {{1}}.', null, path.basename(vsixPath), tag);
+
+        return { tag, published: true };
+    } catch (err) {
+        const removed = [];
+
+        // A package or a tag left by a previous run of the same version is not this run's to remove
+        if (packaging && fs.existsSync(vsixPath)) {
+            fs.rmSync(vsixPath);
+            removed.push('the package');
+        }
+
+        if (tagCreated) {
+            ctx.git.exec(['tag', '-d', tag]);
+            removed.push(`the tag ${tag}`);
+        }
+
+        throw new PublishError(tag, err, removed, rollback);
+    } finally {
+        if (data.profile && stage) fs.rmSync(stage.dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Gets what the release would change, without changing any file, the git index or the history
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ExtensionPackData[]} packs - The data of the extension packs to release
+ * @param {string[]} projectFiles - The paths to the project files
+ * @returns {ReleasePlan} The release plan
+ */
+function getReleasePlan(ctx, packs, projectFiles) {
+    try {
+        const readFile = (filePath) => (fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '');
+        const readmePath = path.join(ctx.cwd, 'README.md');
+
+        return {
+            projectMessage: getCommitMessageByStagedFiles(getChangedFiles(ctx, projectFiles), ctx.config.messages.projectFiles),
+            packs: packs.map((data) => {
+                const changed = hasChangesOnExtensionList(data) || hasChanges(data.changeSet);
+
+                return {
+                    name: data.packageJson.name,
+                    profile: data.profile?.id ?? null,
+                    manifestPath: path.relative(ctx.cwd, data.packageJsonPath),
+                    currentVersion: data.currentVersion,
+                    updatedVersion: changed ? data.updatedVersion : data.currentVersion,
+                    extensions: data.updatedExtensions,
+                    added: data.changeSet.added,
+                    removed: data.changeSet.removed,
+                    hasChanges: changed,
+                    changeSet: data.changeSet,
+                    message: changed ? data.message : '',
+                    preview: changed ? renderTerminalPreview(data.changeSet, ctx.config.messages) : '',
+                    summary: renderMarkdownSummary(data.changeSet),
+                    manifestDiff: getLineDiff(readFile(data.packageJsonPath), getUpdatedPackageJsonContent(data)),
+                    changelogPath: path.relative(ctx.cwd, data.changelogPath),
+                    changelogSection: getChangelogSection(data),
+                    readmeDiff: data.profile
+                        ? null
+                        : getLineDiff(readFile(readmePath), getUpdatedReadmeContent(data.updatedExtensions, ctx.cwd))
+                };
+            })
+        };
     } catch (err) {
-        execGitCommand('git restore --staged .');
-        throw new LoggerErrorHandler('Failed to commit changes', err.message);
+        throw new LoggerErrorHandler('Failed to get the release plan', err.message);
     }
 }
 
 /**
- * TODO: Implement the publish function
- * Publishes the extension pack
+ * Gets the data of the extension packs to release
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ReleaseOptions} options - The options of the release
+ * @param {boolean} [review = false] - Lets the user accept or reject each change to the extension lists
+ * @returns {ExtensionPackData[]} The data of the default extension pack and/or of the selected profiles
+ */
+function getReleasePacks(ctx, options, review = false) {
+    const extensionsJson = readJsonFile(path.join(ctx.cwd, ctx.config.extensionsJson));
+
+    validateExtensionList(ctx, extensionsJson.recommendations, extensionsJson.unwantedRecommendations);
+
+    const packs = selectPacks(ctx, options).map(({ extensionFiles, profile }) =>
+        getExtensionPackData(ctx, extensionFiles, profile, options, review)
+    );
+    const committedFiles = new Set();
+
+    // The files shared by several packs (e.g. the recommendations) are committed by the first pack that commits, so the
+    // next packs only list the files they change themselves
+    for (const data of packs) {
+        if (data.changedFiles.some((file) => committedFiles.has(file))) {
+            setChangedFiles(
+                ctx,
+                data,
+                data.changedFiles.filter((file) => !committedFiles.has(file))
+            );
+        }
+
+        if (data.message !== '') data.changedFiles.forEach((file) => committedFiles.add(file));
+    }
+
+    checkDeprecatedExtensions(ctx, packs, options.refuseDeprecated ?? ctx.config.catalog.refuseDeprecated);
+
+    return packs;
+}
+
+/**
+ * Selects the extension packs of a release
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ReleaseOptions} options - The options of the release
+ * @returns {{ extensionFiles: string[], profile: Profile | null }[]} The extension files and the profile of each selected pack
+ */
+function selectPacks(ctx, options) {
+    const ids = options.allProfiles ? null : (options.profiles ?? ['default']);
+    const includeDefault = !ids || ids.includes('default');
+    const profiles = readProfiles(
+        ids?.filter((id) => id !== 'default'),
+        ctx.cwd
+    );
+
+    return [
+        ...(includeDefault ? [{ extensionFiles: ctx.config.extensionFiles, profile: null }] : []),
+        ...profiles.map((profile) => ({ extensionFiles: getProfileExtensionFiles(profile, ctx.cwd, ctx.config.extensionsJson), profile }))
+    ];
+}
+
+/**
+ * Gets the manifest of an extension pack as it is before the release
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {Profile | null} profile - The profile of the extension pack, null for the default extension pack
+ * @returns {Object} The manifest
+ */
+function readPackManifest(ctx, profile) {
+    const rootPackageJson = readJsonFile(path.join(ctx.cwd, 'package.json'));
+
+    return profile ? getProfileManifest(profile, rootPackageJson) : rootPackageJson;
+}
+
+/**
+ * Runs the preflight checks of a release: the state of the repository, the manifests of the selected packs and,
+ * for the default extension pack, .vscodeignore. Profiles are packaged from a copy of their files, without .vscodeignore.
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ReleaseOptions} [options = {}] - The options of the release. `releaseBranch` and `skipChecks` configure the checks,
+ * instead of `preflight.branch` and `preflight.skip` of the config.
+ * @returns {PreflightFailure[]} Every failed check
+ */
+function getPreflightFailures(ctx, options = {}) {
+    const skipped = options.skipChecks ?? ctx.config.preflight.skip;
+    const unknown = skipped.filter((check) => !PREFLIGHT_CHECKS.includes(check));
+
+    if (unknown.length > 0) {
+        throw new LoggerErrorHandler(`Unknown preflight checks: ${unknown.join(', ')}`, `Checks: ${PREFLIGHT_CHECKS.join(', ')}`);
+    }
+
+    const packs = selectPacks(ctx, options);
+    const packagedFiles = ctx.config.extensionFiles.filter(
+        (file) => path.resolve(ctx.cwd, file) !== path.resolve(ctx.cwd, ctx.config.extensionsJson)
+    );
+    // The recommendations and the profiles are what the release is made from: their changes are expected
+    const sources = [ctx.config.extensionsJson, 'profiles/groups.json', ...packs.map(({ profile }) => profile?.profilePath)]
+        .filter(Boolean)
+        .map((file) => path.resolve(ctx.cwd, file));
+    const releaseFiles = [...new Set(packs.flatMap(({ extensionFiles }) => extensionFiles))].filter(
+        (file) => !sources.includes(path.resolve(ctx.cwd, file))
+    );
+    const checks = {
+        branch: () => checkBranch(ctx.git, options.releaseBranch ?? ctx.config.preflight.branch),
+        clean: () => checkCleanIndex(ctx.git, releaseFiles),
+        upstream: () => checkUpstream(ctx.git),
+        operation: () => checkOperationInProgress(ctx.git),
+        manifest: () => packs.flatMap(({ profile }) => checkManifest(readPackManifest(ctx, profile), ctx.cwd)),
+        vscodeignore: () => (packs.some(({ profile }) => !profile) ? checkVscodeignore(packagedFiles, ctx.cwd) : [])
+    };
+
+    return PREFLIGHT_CHECKS.filter((check) => !skipped.includes(check)).flatMap((check) =>
+        checks[check]().map((message) => ({ check, message }))
+    );
+}
+
+/**
+ * Runs the preflight checks and logs every failure. Unless the release is forced, any failure stops it.
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ReleaseOptions} [options = {}] - The options of the release
+ * @throws {PreflightError} If any check fails and `force` is not set
+ */
+function runPreflight(ctx, options = {}) {
+    const failures = getPreflightFailures(ctx, options);
+
+    if (failures.length === 0) return;
+
+    const log = options.force ? ctx.logger.warning : ctx.logger.error;
+
+    for (const { check, message } of failures) log('[{{0}}] ' + message, null, check);
+
+    if (!options.force) throw new PreflightError(failures);
+
+    ctx.logger.warning('Releasing despite {{0}} failed preflight check(s).', null, String(failures.length));
+}
+
+/**
+ * Gets the project files of a release: every file git sees, minus the extension files of every pack
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ReleaseOptions} options - The options of the release
+ * @returns {string[]} The paths of the project files
+ */
+function getReleaseProjectFiles(ctx, options) {
+    const extensionFiles = [
+        ctx.config.extensionFiles,
+        ...readProfiles(undefined, ctx.cwd).map((profile) => getProfileExtensionFiles(profile, ctx.cwd, ctx.config.extensionsJson))
+    ];
+
+    return getProjectFiles(ctx, [...new Set(extensionFiles.flat())], { include: options.include, exclude: options.exclude });
+}
+
+/**
+ * Gets the files a release may change, relative to the project root
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ExtensionPackData[]} packs - The data of the extension packs to release
+ * @returns {string[]} The paths of the files
+ */
+function getReleaseFiles(ctx, packs) {
+    const files = [
+        path.join(ctx.cwd, ctx.config.extensionsJson),
+        path.join(ctx.cwd, 'README.md'),
+        ...packs.flatMap((data) => [data.packageJsonPath, data.changelogPath])
+    ];
+    return [...new Set(files.map((file) => path.relative(ctx.cwd, file)))];
+}
+
+/**
+ * Undoes the release in progress and logs what was undone
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ReleaseState} state - The release state
+ */
+function rollbackRelease(ctx, state) {
+    const undone = rollbackTransaction(ctx.git, state);
+
+    if (undone.length === 0) return ctx.logger.info('Nothing to roll back.');
+
+    ctx.logger.warning(`The release was rolled back:\n\n${undone.map((change) => `  • ${change}`).join('\n')}\n`);
+}
+
+/**
+ * Gets the outcome of a release for an extension pack
  *
  * @param {ExtensionPackData} data - The data of the extension pack
+ * @param {{ committed?: boolean, tag?: string | null, published?: boolean }} [outcome = {}] - What the release did with the pack
+ * @returns {PackResult} The outcome of the release for the pack
  */
-function publish(data) {
-    throw new LoggerErrorHandler('Not implemented yet', 'The `publish` function is not implemented yet.');
+function getPackResult(data, outcome = {}) {
+    const { added, removed, kept } = getExtensionListChanges(data.currentExtensions, data.updatedExtensions);
+
+    return {
+        name: data.packageJson.name,
+        profile: data.profile?.id ?? null,
+        previousVersion: data.currentVersion,
+        version: outcome.committed ? data.updatedVersion : data.currentVersion,
+        added,
+        removed,
+        kept,
+        committed: outcome.committed ?? false,
+        tag: outcome.tag ?? null,
+        published: outcome.published ?? false
+    };
 }
 
 /**
- * Makes a release from the extension files
+ * Validates the recommended extensions, the extension rules and the profiles, and checks the extension packs for deprecated extensions
  *
- * @param {boolean} [updateOnly = false] - If true, only the package.json will be updated, without commit any file.
+ * @param {ReleaseContext} ctx - The context of the release
+ * @returns {ValidationResult} The warnings found, there are no errors
+ * @throws {ExtensionValidationError} If the recommended extensions are not valid
+ * @throws {DeprecatedExtensionError} If a pack ships a deprecated extension and the config refuses them
  */
-function makeRelease(updateOnly = false) {
+function validateRelease(ctx) {
+    const extensionsJson = readJsonFile(path.join(ctx.cwd, ctx.config.extensionsJson));
+    const result = validateExtensionList(ctx, extensionsJson.recommendations, extensionsJson.unwantedRecommendations);
+
+    const packs = selectPacks(ctx, { allProfiles: true }).map(({ extensionFiles, profile }) =>
+        getExtensionPackData(ctx, extensionFiles, profile)
+    );
+
+    checkDeprecatedExtensions(ctx, packs, ctx.config.catalog.refuseDeprecated);
+
+    return result;
+}
+
+/**
+ * Gets what a release would change, without changing anything
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ReleaseOptions} [options = {}] - The options of the release
+ * @returns {ReleasePlan} The release plan
+ */
+function planRelease(ctx, options = {}) {
+    return getReleasePlan(ctx, getReleasePacks(ctx, options), getReleaseProjectFiles(ctx, options));
+}
+
+/**
+ * Updates the manifests, changelogs and README of the extension packs, without committing
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ReleaseOptions} [options = {}] - The options of the release
+ * @returns {ReleaseResult} The updated version of each pack, without commits
+ */
+function updateRelease(ctx, options = {}) {
+    const packs = getReleasePacks(ctx, options, true);
+
+    return {
+        commits: [],
+        packs: packs.map((data) => ({
+            ...getPackResult(data),
+            version: updateExtensionPack(ctx, data) ? data.updatedVersion : data.currentVersion
+        }))
+    };
+}
+
+/**
+ * Makes a release from the extension files.
+ * The release is transactional: on any error, abort or Ctrl-C, the commits it made are reset and the files it changed
+ * are restored, back to the start of the release or to the last published pack.
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ReleaseOptions} [options = {}] - The options of the release.
+ * `profiles` selects the extension packs to release by profile ID (`default` is the root package.json).
+ * `allProfiles` releases the default extension pack and every profile.
+ * `include` and `exclude` are extra glob patterns that select the project files committed before the extension packs.
+ * `allowRemovals` accepts the removal of extensions from the packs by default.
+ * `releaseBranch` is the branch releases are made from and `skipChecks` skips preflight checks by name, instead of
+ * `preflight.branch` and `preflight.skip` of the config. `force` releases even if preflight checks fail.
+ * @returns {ReleaseResult} The commits made and the outcome of each pack
+ * @throws {ReleaseAbortedError} If the user aborts the release, once it is rolled back
+ * @throws {ReleaseInProgressError} If a previous release did not finish
+ * @throws {PreflightError} If any preflight check fails and the release is not forced
+ */
+function makeRelease(ctx, options = {}) {
+    let state = null;
+
+    const onExit = (code) => {
+        if (!state || state.rolledBack) return;
+
+        rollbackRelease(ctx, state);
+        if (code === 0) endTransaction(ctx.git);
+    };
+    const onInterrupt = () => process.exit(130);
+
     try {
-        const extensionFiles = ['.vscode/extensions.json', 'package.json', 'assets/icon_128.png', 'README.md'];
-        const data = getExtensionPackData(extensionFiles);
-        
-        if (updateOnly) return updateExtensionPack(data);
-        
-        const projectFiles = getProjectFiles(extensionFiles);
-
-        commitProjectFiles(projectFiles);
-        updateExtensionPack(data);
-        commitExtensionFiles(data);
-        // if (commitExtensionFiles(data)) publish(data);
+        if (readTransaction(ctx.git)?.rolledBack === false) throw new ReleaseInProgressError();
+
+        runPreflight(ctx, options);
+
+        const packs = getReleasePacks(ctx, options, true);
+        const projectFiles = getReleaseProjectFiles(ctx, options);
+        const result = { commits: [], packs: [] };
+
+        state = beginTransaction(ctx.git, getReleaseFiles(ctx, packs), options);
+        process.on('exit', onExit);
+        process.on('SIGINT', onInterrupt);
+
+        const projectCommit = commitProjectFiles(ctx, projectFiles);
+        if (projectCommit) result.commits.push(projectCommit);
+
+        for (const data of packs) {
+            updateExtensionPack(ctx, data);
+
+            const commit = commitExtensionFiles(ctx, data);
+
+            if (commit) {
+                result.commits.push(commit);
+                result.packs.push(getPackResult(data, { committed: true, ...publish(ctx, data, true) }));
+                checkpointTransaction(ctx.git, state);
+            } else {
+                result.packs.push(getPackResult(data));
+            }
+        }
+
+        endTransaction(ctx.git);
+
+        return result;
     } catch (err) {
-        LoggerErrorHandler.handle(err.message, err, error);
+        if (state && !state.rolledBack) {
+            rollbackRelease(ctx, state);
+
+            if (err instanceof ReleaseAbortedError) endTransaction(ctx.git);
+            else ctx.logger.info('Run the release with --resume to retry it.');
+        }
+
+        throw err;
+    } finally {
+        process.off('exit', onExit);
+        process.off('SIGINT', onInterrupt);
     }
 }
 
-if (isMainModule(import.meta.url)) {
-    const args = process.argv.slice(2)
-    const updateOnly = args.includes('--update-only')
-    makeRelease(updateOnly);
+/**
+ * Packages and publishes the current version of the extension packs, without changing them,
+ * e.g. when the publication of a release failed after its commits were pushed.
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {ReleaseOptions} [options = {}] - The options of the release. Only `profiles`, `allProfiles`, `marketplacePreRelease`
+ * and the options of the preflight checks are used.
+ * @returns {ReleaseResult} The outcome of each pack, without commits
+ */
+function publishExtensionPacks(ctx, options = {}) {
+    const result = { commits: [], packs: [] };
+
+    runPreflight(ctx, options);
+
+    const packs = selectPacks(ctx, options).map(({ extensionFiles, profile }) => {
+        const packageJsonPath = profile?.packageJsonPath ?? path.join(ctx.cwd, 'package.json');
+
+        if (!fs.existsSync(packageJsonPath)) {
+            throw new LoggerErrorHandler(
+                `The extension pack of the profile ${profile.id} has never been released`,
+                `${packageJsonPath} does not exist.`
+            );
+        }
+
+        const packageJson = readJsonFile(packageJsonPath);
+
+        return {
+            profile,
+            extensionFiles,
+            packageJsonPath,
+            changelogPath: profile?.changelogPath ?? path.join(ctx.cwd, 'CHANGELOG.md'),
+            packageJson,
+            currentVersion: packageJson.version,
+            updatedVersion: packageJson.version,
+            currentExtensions: packageJson.extensionPack,
+            updatedExtensions: packageJson.extensionPack,
+            changedFiles: [],
+            marketplacePreRelease: options.marketplacePreRelease ?? false,
+            changeSet: createChangeSet({
+                name: packageJson.name,
+                scope: profile?.id ?? ctx.config.messages.scope,
+                previousVersion: packageJson.version,
+                version: packageJson.version,
+                currentExtensions: packageJson.extensionPack,
+                updatedExtensions: packageJson.extensionPack
+            }),
+            message: ''
+        };
+    });
+
+    checkDeprecatedExtensions(ctx, packs, options.refuseDeprecated ?? ctx.config.catalog.refuseDeprecated);
+
+    for (const data of packs) result.packs.push(getPackResult(data, publish(ctx, data)));
+
+    return result;
+}
+
+/**
+ * Gets the path of the manifest of an extension pack, relative to the project root
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {string} [profileId = 'default'] - The ID of the profile, `default` being the root package.json
+ * @returns {string} The path of the manifest
+ */
+function getPackManifestPath(ctx, profileId = 'default') {
+    if (profileId === 'default') return 'package.json';
+
+    return path
+        .relative(ctx.cwd, readProfiles([profileId], ctx.cwd)[0].packageJsonPath)
+        .split(path.sep)
+        .join('/');
+}
+
+/**
+ * Gets when each extension was added to or removed from a pack, from the git history of its manifest
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {HistoryOptions} [options = {}] - The pack
+ * @returns {HistoryEntry[]} The changes to the extension list, newest first
+ */
+function getPackHistory(ctx, options = {}) {
+    const profileId = options.profile ?? 'default';
+    const revisions = readManifestRevisions(ctx.git, getPackManifestPath(ctx, profileId));
+
+    return getExtensionTimeline(revisions, profileId === 'default' ? ctx.config.messages.scope : profileId);
+}
+
+/**
+ * Compares the extension lists of a pack at two versions (e.g. `3.0.0` or `v3.0.0`) or git refs
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {string} from - The version or ref to compare from
+ * @param {string} to - The version or ref to compare to
+ * @param {HistoryOptions} [options = {}] - The pack
+ * @returns {PackComparison} The changes from `from` to `to`
+ */
+function comparePackVersions(ctx, from, to, options = {}) {
+    const profileId = options.profile ?? 'default';
+
+    return comparePackRevisions(
+        ctx.git,
+        from,
+        to,
+        getPackManifestPath(ctx, profileId),
+        profileId === 'default' ? ctx.config.messages.scope : profileId
+    );
+}
+
+/**
+ * Gets the extensions whose Marketplace status is kept in the extension metadata: the recommendations and the default extension pack
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @returns {string[]} The extensions
+ */
+function getCatalogExtensions(ctx) {
+    const { recommendations } = readJsonFile(path.join(ctx.cwd, ctx.config.extensionsJson));
+    const { extensionPack } = readJsonFile(path.join(ctx.cwd, 'package.json'));
+
+    return [...new Set([...recommendations, ...extensionPack])];
+}
+
+/**
+ * Refreshes the Marketplace status of the extensions from Marketplace exports
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @param {string[]} exportPaths - The paths of the exported files, relative to the project root
+ * @returns {{ refreshed: string[], missing: string[] }} The extensions refreshed from the exports and the ones that were not
+ */
+function refreshCatalog(ctx, exportPaths) {
+    return refreshExtensionCatalog(
+        exportPaths.map((filePath) => path.resolve(ctx.cwd, filePath)),
+        getCatalogExtensions(ctx),
+        getExtensionMetadataPath(ctx.cwd)
+    );
+}
+
+/**
+ * Regenerates the extension table of the README from the default extension pack
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @returns {string[]} The extensions without metadata
+ */
+function regenerateReadme(ctx) {
+    return updateReadme(readJsonFile(path.join(ctx.cwd, 'package.json')).extensionPack, ctx.cwd);
+}
+
+/**
+ * Retries the last release that failed, with the same options.
+ * If the failed release could not be rolled back (e.g. the process was killed), it is rolled back first.
+ *
+ * @param {ReleaseContext} ctx - The context of the release
+ * @returns {ReleaseResult} The commits made and the outcome of each pack
+ */
+function resumeRelease(ctx) {
+    const state = readTransaction(ctx.git);
+
+    if (!state) throw new LoggerErrorHandler('No failed release to resume');
+    if (!state.rolledBack) rollbackRelease(ctx, state);
+
+    endTransaction(ctx.git);
+    ctx.logger.info('Resuming the release with the options: {{0}}', null, JSON.stringify(state.options));
+
+    return makeRelease(ctx, state.options);
 }
+
+/**
+ * Creates the logger of a release pipeline created without one, writing to the directory of the logs set in the config,
+ * and to a JSON Lines log if the config enables it, with the theme of the config
+ *
+ * @param {string} root - The project root
+ * @param {ReleaseConfig} config - The release config
+ * @returns {ReleaseLogger} The logger
+ */
+function createDefaultLogger(root, config) {
+    const defaultLogger = Logger.create(import.meta.url);
+
+    defaultLogger.configure({ logDir: config.logDir && path.resolve(root, config.logDir), jsonLog: config.jsonLog });
+    defaultLogger.setTheme(config.theme);
+
+    return defaultLogger;
+}
+
+/**
+ * Creates a release pipeline for a project. Every step works in `cwd` through the given git client, prompts and logger,
+ * and reports its outcome as a result or a typed error, so it can be driven by another script or against a fixture repository.
+ *
+ * @example
+ * const releaser = createReleaser({ cwd: '/path/to/pack', prompt: { ...prompts, confirm: () => true } });
+ * const plan = releaser.plan({ allProfiles: true });
+ * const { commits, packs } = releaser.release({ allProfiles: true });
+ *
+ * @param {Partial<ReleaseContext>} [context = {}] - The project root (the current directory if not provided), its config
+ * as loaded by `loadReleaseConfig`, and the git client, prompts and logger to use instead of the default ones
+ * @returns {Releaser} The release pipeline
+ */
+function createReleaser({ cwd = process.cwd(), config = DEFAULT_RELEASE_CONFIG, git, prompt = DEFAULT_PROMPT, logger } = {}) {
+    const root = path.resolve(cwd);
+    const ctx = { cwd: root, config, git: git ?? createGit(root), prompt, logger: logger ?? createDefaultLogger(root, config) };
+
+    return {
+        validate: () => validateRelease(ctx),
+        preflight: (options = {}) => getPreflightFailures(ctx, options),
+        plan: (options = {}) => planRelease(ctx, options),
+        update: (options = {}) => updateRelease(ctx, options),
+        release: (options = {}) => makeRelease(ctx, options),
+        publish: (options = {}) => publishExtensionPacks(ctx, options),
+        resume: () => resumeRelease(ctx),
+        history: (options = {}) => getPackHistory(ctx, options),
+        compare: (from, to, options = {}) => comparePackVersions(ctx, from, to, options),
+        import: (filePath, options = {}) => importExtensions(ctx, filePath, options),
+        export: (outDir, options = {}) => exportExtensionPack(ctx, outDir, options),
+        changelog: (options = {}) => backfillChangelog(ctx.git, options.force),
+        readme: () => regenerateReadme(ctx),
+        deprecated: () => findDeprecatedExtensions(getCatalogExtensions(ctx), readExtensionMetadata(getExtensionMetadataPath(ctx.cwd))),
+        refreshCatalog: (exportPaths) => refreshCatalog(ctx, exportPaths)
+    };
+}
+
+export {
+    DeprecatedExtensionError,
+    ExtensionValidationError,
+    PreflightError,
+    PublishError,
+    ReleaseAbortedError,
+    ReleaseInProgressError,
+    createReleaser
+};
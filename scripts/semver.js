@@ -0,0 +1,115 @@
+/**
+ * The pattern of a semantic version, as defined by https://semver.org
+ */
+const SEMVER_PATTERN =
+    /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+/**
+ * The pattern of a pre-release tag (e.g. `beta`, `rc`)
+ */
+const PRERELEASE_TAG_PATTERN = /^[0-9a-zA-Z-]+$/;
+
+/**
+ * A parsed semantic version
+ * @typedef {{
+ *     major: number,
+ *     minor: number,
+ *     patch: number,
+ *     prerelease: (string | number)[]
+ * }} SemVer
+ */
+
+/**
+ * The level of a version bump
+ * @typedef {'major' | 'minor' | 'patch'} BumpLevel
+ */
+
+/**
+ * Parses a semantic version. Build metadata is discarded.
+ *
+ * @param {string} version - The version to parse, e.g. `3.1.0` or `3.1.0-beta.1`
+ * @returns {SemVer} The parsed version
+ */
+function parseVersion(version) {
+    const match = SEMVER_PATTERN.exec(String(version).trim());
+
+    if (!match) throw new Error(`Invalid semantic version: ${version}`);
+
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2]),
+        patch: Number(match[3]),
+        prerelease: match[4] ? match[4].split('.').map((id) => (/^\d+$/.test(id) ? Number(id) : id)) : []
+    };
+}
+
+/**
+ * Formats a parsed semantic version
+ *
+ * @param {SemVer} version - The parsed version
+ * @returns {string} The version string
+ */
+function formatVersion(version) {
+    const core = `${version.major}.${version.minor}.${version.patch}`;
+    return version.prerelease.length > 0 ? `${core}-${version.prerelease.join('.')}` : core;
+}
+
+/**
+ * Checks if a version is a pre-release (e.g. `3.1.0-beta.1`)
+ *
+ * @param {string} version - The version to check
+ * @returns {boolean} True if the version has pre-release identifiers, false otherwise
+ */
+function isPrerelease(version) {
+    return parseVersion(version).prerelease.length > 0;
+}
+
+/**
+ * Increases the version of the package.
+ * A pre-release is released by the bump that reaches its version: `3.1.0-beta.1` with `minor` becomes `3.1.0`, with `major` becomes `4.0.0`.
+ * With a pre-release tag, the bumped version gets the tag, or its number is increased if it already is a pre-release
+ * of that version and tag: `3.1.0` with `minor` and `beta` becomes `3.2.0-beta.0`, then `3.2.0-beta.1`.
+ *
+ * @param {string} version - The current version of the package
+ * @param {BumpLevel} type - The type of version to increase
+ * @param {string?} [prereleaseTag = null] - The pre-release tag of the increased version
+ * @returns {string} The increased version
+ */
+function increaseVersion(version, type, prereleaseTag = null) {
+    const current = parseVersion(version);
+    const isCurrentPrerelease = current.prerelease.length > 0;
+    const next = { ...current, prerelease: [] };
+
+    if (prereleaseTag !== null && !PRERELEASE_TAG_PATTERN.test(prereleaseTag)) throw new Error(`Invalid pre-release tag: ${prereleaseTag}`);
+
+    switch (type) {
+        case 'major':
+            if (!isCurrentPrerelease || current.minor !== 0 || current.patch !== 0) {
+                Object.assign(next, { major: current.major + 1, minor: 0, patch: 0 });
+            }
+            break;
+        case 'minor':
+            if (!isCurrentPrerelease || current.patch !== 0) Object.assign(next, { minor: current.minor + 1, patch: 0 });
+            break;
+        case 'patch':
+            if (!isCurrentPrerelease) next.patch = current.patch + 1;
+            break;
+        default:
+            throw new Error(`Invalid version bump: ${type}`);
+    }
+
+    if (prereleaseTag === null) return formatVersion(next);
+
+    const [currentTag, currentNumber] = current.prerelease;
+    const isSameRelease = isCurrentPrerelease && formatVersion({ ...current, prerelease: [] }) === formatVersion(next);
+
+    if (isSameRelease && currentTag === prereleaseTag && typeof currentNumber === 'number') {
+        next.prerelease = [prereleaseTag, currentNumber + 1];
+    } else {
+        next.prerelease = [prereleaseTag, 0];
+    }
+
+    return formatVersion(next);
+}
+
+export { increaseVersion, isPrerelease, parseVersion };
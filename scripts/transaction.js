@@ -0,0 +1,147 @@
+import fs from 'fs';
+import path from 'path';
+import { LoggerErrorHandler } from './logger.js';
+
+/**
+ * The state of a release in progress, used to undo it on failure and to resume it
+ * @typedef {{
+ *     options: Object,
+ *     head: string,
+ *     files: Record<string, string | null>,
+ *     rolledBack: boolean
+ * }} ReleaseState
+ */
+
+/**
+ * A git client bound to a working tree
+ * @typedef {import('./git.js').Git} Git
+ */
+
+/**
+ * Gets the path of the release state file, kept inside the git directory so it is never committed
+ *
+ * @param {Git} git - The git client of the project
+ * @returns {string} The path of the release state file
+ */
+function getStatePath(git) {
+    return path.resolve(git.cwd, git.exec(['rev-parse', '--git-path', 'release-state.json']).trim());
+}
+
+/**
+ * Saves the release state
+ *
+ * @param {Git} git - The git client of the project
+ * @param {ReleaseState} state - The release state
+ */
+function saveState(git, state) {
+    fs.writeFileSync(getStatePath(git), JSON.stringify(state, null, 4));
+}
+
+/**
+ * Reads the content of the files the release may change
+ *
+ * @param {Git} git - The git client of the project
+ * @param {string[]} files - The paths of the files, relative to the project root
+ * @returns {Record<string, string | null>} The content of each file, or null if it does not exist
+ */
+function snapshotFiles(git, files) {
+    return Object.fromEntries(
+        files.map((file) => {
+            const filePath = path.resolve(git.cwd, file);
+            return [file, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null];
+        })
+    );
+}
+
+/**
+ * Reads the state of the last release that did not finish, if any
+ *
+ * @param {Git} git - The git client of the project
+ * @returns {ReleaseState | null} The release state
+ */
+function readTransaction(git) {
+    const statePath = getStatePath(git);
+    return fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : null;
+}
+
+/**
+ * Records the starting HEAD and the files the release may change
+ *
+ * @param {Git} git - The git client of the project
+ * @param {string[]} files - The paths of the files the release may change, relative to the project root
+ * @param {Object} options - The options of the release, used to resume it
+ * @returns {ReleaseState} The release state
+ */
+function beginTransaction(git, files, options) {
+    try {
+        const state = { options, head: git.exec(['rev-parse', 'HEAD']).trim(), files: snapshotFiles(git, files), rolledBack: false };
+
+        saveState(git, state);
+
+        return state;
+    } catch (err) {
+        throw new LoggerErrorHandler('Failed to record the release state', err.message);
+    }
+}
+
+/**
+ * Marks the current HEAD and files as the point a rollback returns to, e.g. once a pack is published
+ *
+ * @param {Git} git - The git client of the project
+ * @param {ReleaseState} state - The release state
+ */
+function checkpointTransaction(git, state) {
+    state.head = git.exec(['rev-parse', 'HEAD']).trim();
+    state.files = snapshotFiles(git, Object.keys(state.files));
+    saveState(git, state);
+}
+
+/**
+ * Undoes the release: resets the commits it made and restores the files it changed
+ *
+ * @param {Git} git - The git client of the project
+ * @param {ReleaseState} state - The release state
+ * @returns {string[]} The description of each undone change
+ */
+function rollbackTransaction(git, state) {
+    try {
+        const undone = [];
+        const commits = Number(git.exec(['rev-list', '--count', `${state.head}..HEAD`]).trim());
+
+        git.exec(['reset', '--quiet', '--mixed', state.head]);
+        if (commits > 0) undone.push(`Reset ${commits} commit(s), HEAD is back to ${state.head.slice(0, 7)}`);
+
+        for (const [file, content] of Object.entries(state.files)) {
+            const filePath = path.resolve(git.cwd, file);
+            const current = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+
+            if (current === content) continue;
+
+            if (content === null) {
+                fs.rmSync(filePath);
+                undone.push(`Removed ${file}`);
+            } else {
+                fs.writeFileSync(filePath, content);
+                undone.push(`Restored ${file}`);
+            }
+        }
+
+        state.rolledBack = true;
+        saveState(git, state);
+
+        return undone;
+    } catch (err) {
+        throw new LoggerErrorHandler('Failed to roll back the release', err.message);
+    }
+}
+
+/**
+ * Forgets the release state once the release is over
+ *
+ * @param {Git} git - The git client of the project
+ */
+function endTransaction(git) {
+    fs.rmSync(getStatePath(git), { force: true });
+}
+
+export { beginTransaction, checkpointTransaction, endTransaction, readTransaction, rollbackTransaction };
@@ -1,6 +1,13 @@
 import createPrompt from 'prompt-sync';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { spawnSync } from 'child_process';
 import { fileURLToPath } from 'url';
-import { Logger } from './logger.js';
+import { stripVTControlCharacters } from 'util';
+import { parseJsonc } from './jsonc.js';
+import { Logger, LoggerErrorHandler } from './logger.js';
 
 const prompt = createPrompt({ sigint: true });
 
@@ -9,57 +16,398 @@ const prompt = createPrompt({ sigint: true });
  * @typedef {'red' | 'green' | 'yellow' | 'blue' | 'magenta' | 'cyan' | 'white'} Color
  */
 
+/**
+ * A color or a text style
+ * @typedef {Color | 'bold' | 'dim'} Style
+ */
+
+/**
+ * The ANSI codes of the colors and styles
+ * @type {Record<Style, number>}
+ */
+const ANSI_CODES = { bold: 1, dim: 2, red: 31, green: 32, yellow: 33, blue: 34, magenta: 35, cyan: 36, white: 37 };
+
+/**
+ * The names of the colors and styles
+ * @type {Style[]}
+ */
+const STYLES = Object.keys(ANSI_CODES);
+
+/**
+ * Whether the text is colorized: null detects it from the environment and the terminal
+ * @type {boolean | null}
+ */
+let colorOverride = null;
+
+/**
+ * Forces colors on or off, e.g. from the `--no-color` option of the CLI
+ *
+ * @param {boolean | null} enabled - True or false to force colors on or off, null to detect them again
+ */
+function setColorEnabled(enabled) {
+    colorOverride = enabled;
+}
+
+/**
+ * Checks if the output supports colors.
+ * As in Node.js, `FORCE_COLOR` enables them (unless it is `0` or `false`) even if `NO_COLOR` is set,
+ * `NO_COLOR` (any non-empty value) disables them, otherwise they are enabled when the output is a terminal that is not `TERM=dumb`.
+ *
+ * @param {NodeJS.WriteStream} [stream = process.stdout] - The output stream
+ * @returns {boolean} True if the text should be colorized, false otherwise
+ */
+function isColorEnabled(stream = process.stdout) {
+    if (colorOverride !== null) return colorOverride;
+    if (process.env.FORCE_COLOR !== undefined) return !['0', 'false'].includes(process.env.FORCE_COLOR.toLowerCase());
+    if (process.env.NO_COLOR) return false;
+
+    return Boolean(stream?.isTTY) && process.env.TERM !== 'dumb';
+}
+
 /**
  * The type of a generic logger function
  * @typedef {import('./logger.js').LoggerFunction} LoggerFunction
  */
 
 /**
- * Colorizes the text with the given color
+ * Colorizes the text with the given color and styles, if the output supports colors
  *
- * @param {Color} color
+ * @param {Style | Style[]} style - The color and/or styles, e.g. `'red'` or `['bold', 'red']`
  * @param {string} text
  * @returns {string}
  */
-function colorize(color, text) {
-    switch (color) {
-        case 'red':
-            return `\x1b[31m${text}\x1b[0m`;
-        case 'green':
-            return `\x1b[32m${text}\x1b[0m`;
-        case 'yellow':
-            return `\x1b[33m${text}\x1b[0m`;
-        case 'blue':
-            return `\x1b[34m${text}\x1b[0m`;
-        case 'magenta':
-            return `\x1b[35m${text}\x1b[0m`;
-        case 'cyan':
-            return `\x1b[36m${text}\x1b[0m`;
-        case 'white':
-            return `\x1b[37m${text}\x1b[0m`;
-        default:
-            throw new Error(`Invalid color: ${color}`);
+function colorize(style, text) {
+    const styles = Array.isArray(style) ? style : [style];
+
+    for (const item of styles) {
+        if (!(item in ANSI_CODES)) throw new Error(`Invalid color: ${item}`);
     }
+
+    if (!isColorEnabled()) return text;
+
+    return `\x1b[${styles.map((item) => ANSI_CODES[item]).join(';')}m${text}\x1b[0m`;
+}
+
+/**
+ * The scripted answers used by `confirm` instead of reading them from the terminal
+ * @typedef {{
+ *     defaultAnswer?: boolean | null,
+ *     answers?: Record<string, boolean | string | string[]>,
+ *     interactive?: boolean
+ * }} PromptAnswers
+ */
+
+/**
+ * A choice of a select or multi-select prompt
+ * @typedef {{
+ *     value: string,
+ *     label: string
+ * }} PromptChoice
+ */
+
+/** @type {Required<PromptAnswers>} */
+const promptAnswers = { defaultAnswer: null, answers: {}, interactive: true };
+
+/**
+ * Sets the scripted answers used by `confirm`
+ *
+ * @param {PromptAnswers} options
+ * `defaultAnswer` answers every prompt without a named answer (e.g. `--yes` / `--no`).
+ * `answers` maps prompt names to their answers: `true`, `false`, `'y'` or `'n'` for confirmations,
+ * the value of a choice for selections, the values of the choices for multi-selections and the text for messages.
+ * `interactive` set to false makes unanswered prompts fail instead of reading from the terminal (e.g. on CI).
+ */
+function setPromptAnswers(options) {
+    for (const [name, answer] of Object.entries(options.answers ?? {})) {
+        const isList = Array.isArray(answer) && answer.every((item) => typeof item === 'string');
+
+        if (typeof answer !== 'boolean' && typeof answer !== 'string' && !isList) {
+            throw new Error(`Invalid answer for prompt "${name}": expected a boolean, a string or a list of strings, got ${typeof answer}`);
+        }
+    }
+
+    Object.assign(promptAnswers, options);
+}
+
+/**
+ * Loads the scripted answers of the named prompts from a JSON file
+ *
+ * @param {string} filePath - Path to the JSON file, e.g. `{ "commitProjectFiles": true, "commitExtensionFiles": "n" }`
+ * @returns {Record<string, boolean | string>} The answers
+ */
+function loadPromptAnswers(filePath) {
+    const answers = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (typeof answers !== 'object' || answers === null || Array.isArray(answers)) {
+        throw new Error(`Invalid answers file: ${filePath} must contain an object mapping prompt names to answers`);
+    }
+
+    return answers;
+}
+
+/**
+ * Gets the scripted answer of a prompt: its named answer, or the default answer (`--yes` / `--no`)
+ *
+ * @param {string?} name - The name of the prompt
+ * @returns {boolean | string | string[] | null} The scripted answer, or null if the prompt must be asked
+ */
+function getScriptedAnswer(name) {
+    return name !== null && name in promptAnswers.answers ? promptAnswers.answers[name] : promptAnswers.defaultAnswer;
+}
+
+/**
+ * Reads an answer from the terminal, failing if the prompts are not interactive
+ *
+ * @param {string} message - The message of the prompt
+ * @param {string?} name - The name of the prompt
+ * @returns {string} The answer
+ */
+function readAnswer(message, name) {
+    if (!promptAnswers.interactive || !process.stdin.isTTY) {
+        throw new Error(
+            `No answer for prompt "${name ?? removeANSI(message)}" in non-interactive mode. Use --yes, --no or --answers <file> to answer it.`
+        );
+    }
+
+    return prompt(colorize('magenta', '[QUESTION] ') + message) ?? '';
+}
+
+/**
+ * Prints a scripted answer as if it had been typed
+ *
+ * @param {string} message - The message of the prompt
+ * @param {string} answer - The answer
+ */
+function printScriptedAnswer(message, answer) {
+    console.log(colorize('magenta', '[QUESTION] ') + message + answer);
 }
 
 /**
  * Confirms the user's action
  *
  * @param {string} message The message to confirm
- * @param {LoggerFunction?} [logger = null] The logger function to use. If not provided, a new logger will be created
+ * @param {LoggerFunction?} [logger = null] The logger function to use. If not provided, the default logger is used
+ * @param {string?} [name = null] The name of the prompt, used to look up its scripted answer
+ * @param {boolean?} [defaultValue = null] The answer if the user just presses Enter. If null, an answer is required
  * @returns {boolean} True if the user confirms, false otherwise
  */
-function confirm(message, logger = null) {
-    if (!logger) logger = (message, verboseContent, ...args) => Logger.__log({ message, verboseContent, args, type: 'question' });
+function confirm(message, logger = null, name = null, defaultValue = null) {
+    if (!logger) logger = Logger.getDefault().question;
+
+    const options = defaultValue === null ? ['y', 'n'] : defaultValue ? ['Y', 'n'] : ['y', 'N'];
+    message = `${message} (${colorize('green', options[0])}/${colorize('red', options[1])}): `;
 
-    message = `${message} (${colorize('green', 'y')}/${colorize('red', 'n')}): `;
-    const answer = prompt(colorize('magenta', '[QUESTION] ') + message);
+    const scripted = getScriptedAnswer(name);
+    let answer;
+
+    if (scripted !== null) {
+        answer = typeof scripted === 'boolean' ? (scripted ? 'y' : 'n') : String(scripted);
+        printScriptedAnswer(message, answer);
+    } else {
+        do {
+            answer = readAnswer(message, name).trim();
+            if (answer === '' && defaultValue !== null) answer = defaultValue ? 'y' : 'n';
+        } while (answer === '');
+    }
 
     logger(message + answer);
 
     return answer.charAt(0).toLowerCase() === 'y';
 }
 
+/**
+ * Asks to pick one of the choices, by number
+ *
+ * @param {string} message The message of the prompt
+ * @param {PromptChoice[]} choices The choices
+ * @param {{ defaultValue?: string, cancelValue?: string, name?: string, logger?: LoggerFunction }} [options = {}]
+ * `defaultValue` is picked if the user just presses Enter and by `--yes` (the first choice if not provided).
+ * `cancelValue` is picked by `--no` or a scripted `false`.
+ * `name` is the name of the prompt, used to look up its scripted answer.
+ * @returns {string} The value of the picked choice
+ */
+function select(message, choices, options = {}) {
+    const logger = options.logger ?? Logger.getDefault().question;
+    const defaultValue = options.defaultValue ?? choices[0].value;
+    const defaultIndex = choices.findIndex((choice) => choice.value === defaultValue);
+    const list = choices.map((choice, index) => `  ${colorize('blue', String(index + 1))}) ${choice.label}`).join('\n');
+    const scripted = getScriptedAnswer(options.name ?? null);
+
+    message = `${message}\n${list}\n${colorize('magenta', '[QUESTION] ')}Choose an option [${defaultIndex + 1}]: `;
+
+    let choice;
+
+    if (scripted !== null) {
+        const value = scripted === true ? defaultValue : scripted === false ? (options.cancelValue ?? defaultValue) : scripted;
+
+        choice = choices.find((item) => item.value === value);
+        if (!choice)
+            throw new Error(
+                `Invalid answer for prompt "${options.name}": ${value}. Expected one of: ${choices.map((item) => item.value).join(', ')}`
+            );
+
+        printScriptedAnswer(message, String(choices.indexOf(choice) + 1));
+    } else {
+        while (!choice) {
+            const answer = readAnswer(message, options.name ?? null).trim();
+            choice = answer === '' ? choices[defaultIndex] : choices[Number(answer) - 1];
+        }
+    }
+
+    logger(`${removeANSI(message)}${choice.value}`);
+
+    return choice.value;
+}
+
+/**
+ * Asks to pick any of the choices, by numbers and ranges (e.g. `1,3-5`), `all` or `none`
+ *
+ * @param {string} message The message of the prompt
+ * @param {PromptChoice[]} choices The choices
+ * @param {{ defaultValues?: string[], name?: string, logger?: LoggerFunction }} [options = {}]
+ * `defaultValues` are picked if the user just presses Enter and by `--yes` (none if not provided). `--no` picks none.
+ * `name` is the name of the prompt, used to look up its scripted answer.
+ * @returns {string[]} The values of the picked choices
+ */
+function multiSelect(message, choices, options = {}) {
+    const logger = options.logger ?? Logger.getDefault().question;
+    const defaults = options.defaultValues ?? [];
+    const list = choices
+        .map(
+            (choice, index) => `  ${colorize('blue', String(index + 1))}) [${defaults.includes(choice.value) ? 'x' : ' '}] ${choice.label}`
+        )
+        .join('\n');
+    const scripted = getScriptedAnswer(options.name ?? null);
+
+    message = `${message}\n${list}\n${colorize('magenta', '[QUESTION] ')}Choose the options (e.g. 1,3-5, all, none) [defaults]: `;
+
+    const parse = (answer) => {
+        if (answer === '') return defaults;
+        if (answer === 'all') return choices.map((choice) => choice.value);
+        if (answer === 'none') return [];
+
+        const indexes = new Set();
+
+        for (const part of answer.split(',').map((item) => item.trim())) {
+            const match = /^(\d+)(?:-(\d+))?$/.exec(part);
+            const [start, end] = match ? [Number(match[1]), Number(match[2] ?? match[1])] : [0, -1];
+
+            if (start < 1 || end > choices.length || start > end) return null;
+            for (let index = start; index <= end; index++) indexes.add(index - 1);
+        }
+
+        return choices.filter((_, index) => indexes.has(index)).map((choice) => choice.value);
+    };
+
+    let values;
+
+    if (scripted !== null) {
+        values = scripted === true ? defaults : scripted === false ? [] : [scripted].flat();
+
+        const unknown = values.filter((value) => !choices.some((choice) => choice.value === value));
+        if (unknown.length > 0) throw new Error(`Invalid answer for prompt "${options.name}": ${unknown.join(', ')}`);
+
+        printScriptedAnswer(message, values.join(', ') || 'none');
+    } else {
+        while (!values)
+            values = parse(
+                readAnswer(message, options.name ?? null)
+                    .trim()
+                    .toLowerCase()
+            );
+    }
+
+    logger(`${removeANSI(message)}${values.join(', ') || 'none'}`);
+
+    return values;
+}
+
+/**
+ * Splits a command line, e.g. `$EDITOR`, into the command and its arguments.
+ * Single or double quotes group words, e.g. `"/opt/My Editor/edit" --wait`. Nothing else is interpreted.
+ *
+ * @param {string} commandLine The command line
+ * @returns {string[]} The command and its arguments
+ */
+function splitCommandLine(commandLine) {
+    return [...commandLine.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(([, double, single, word]) => double ?? single ?? word);
+}
+
+/**
+ * Lets the user edit a message, in `$VISUAL` / `$EDITOR` if set, otherwise by retyping its first line.
+ * A scripted string answer replaces the message, any other scripted answer keeps it.
+ *
+ * @param {string} text The message to edit
+ * @param {string?} [name = null] The name of the prompt, used to look up its scripted answer
+ * @returns {string} The edited message
+ */
+function editMessage(text, name = null) {
+    const scripted = getScriptedAnswer(name);
+
+    if (scripted !== null) return typeof scripted === 'string' && !['y', 'n'].includes(scripted.toLowerCase()) ? scripted : text;
+
+    const editor = process.env.VISUAL || process.env.EDITOR;
+
+    if (!editor) {
+        const [subject, ...body] = text.split('\n');
+        const answer = readAnswer(`New first line (empty keeps "${subject}"): `, name).trim();
+
+        return answer === '' ? text : [answer, ...body].join('\n');
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'release-message-'));
+    const filePath = path.join(dir, 'MESSAGE');
+
+    try {
+        fs.writeFileSync(filePath, text);
+
+        const [command, ...args] = splitCommandLine(editor);
+        const result = spawnSync(command, [...args, filePath], { stdio: 'inherit' });
+
+        if (result.error) throw new Error(`Failed to run the editor ${command}: ${result.error.message}`);
+        if (result.status !== 0) throw new Error(`The editor exited with code ${result.status}`);
+
+        const edited = fs.readFileSync(filePath, 'utf8');
+        return edited.trim() === '' ? text : edited;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Sets up the answers of the confirm prompts from the command line options and the environment.
+ * On CI (`CI=true`) or without a TTY, prompts without a scripted answer fail instead of waiting for input.
+ *
+ * @param {{ yes?: boolean, no?: boolean, answers?: string }} values - The parsed command line options
+ */
+function setupPrompts(values) {
+    try {
+        if (values.yes && values.no) throw new Error('The --yes and --no options cannot be used together.');
+
+        setPromptAnswers({
+            defaultAnswer: values.yes ? true : values.no ? false : null,
+            answers: values.answers ? loadPromptAnswers(values.answers) : {},
+            interactive: !['true', '1'].includes(process.env.CI?.toLowerCase())
+        });
+    } catch (err) {
+        throw new LoggerErrorHandler('Failed to set up the prompt answers', err.message);
+    }
+}
+
+/**
+ * Reads and returns the contents of a JSON file. Comments and trailing commas are allowed, as in VS Code's settings files.
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {Object} Parsed JSON file content
+ */
+function readJsonFile(filePath) {
+    try {
+        return parseJsonc(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        throw new LoggerErrorHandler(`Failed to read file: ${filePath}`, err.message);
+    }
+}
+
 /**
  * Checks if the script is the main module
  *
@@ -81,13 +429,184 @@ function isFileURL(filePathOrURL) {
 }
 
 /**
- * Removes ANSI codes from the text
+ * Removes ANSI codes from the text: SGR codes such as `\x1b[1;31m`, other CSI sequences and OSC sequences (e.g. links)
  *
  * @param {string} text
  * @returns {string}
  */
 function removeANSI(text) {
-    return text.replace(/\x1b\[\d+m|\x1b\[0m/g, '');
+    return stripVTControlCharacters(text);
+}
+
+/**
+ * The extensions added, removed and kept between two versions of an extension list
+ * @typedef {{ added: string[], removed: string[], kept: string[] }} ExtensionListChanges
+ */
+
+/**
+ * Gets the extensions added, removed and kept between the current and updated extension lists
+ *
+ * @param {string[]} currentExtensions - Current list of extensions
+ * @param {string[]} updatedExtensions - Updated list of extensions
+ * @returns {ExtensionListChanges} The changes between the lists
+ */
+function getExtensionListChanges(currentExtensions, updatedExtensions) {
+    return {
+        added: updatedExtensions.filter((ext) => !currentExtensions.includes(ext)),
+        removed: currentExtensions.filter((ext) => !updatedExtensions.includes(ext)),
+        kept: currentExtensions.filter((ext) => updatedExtensions.includes(ext))
+    };
+}
+
+/**
+ * Merges current extensions with new recommendations.
+ * Pinned extensions already in the pack are kept even if they are not recommended anymore,
+ * and unwanted extensions are always left out.
+ *
+ * @param {string[]} currentExtensions - Current list of extensions
+ * @param {string[]} newExtensions - List of new recommended extensions
+ * @param {{ pinned?: string[], unwanted?: string[] }} [lists = {}] - The pinned and the unwanted extensions
+ * @returns {string[]} Merged list of extensions
+ */
+function mergeExtensions(currentExtensions, newExtensions, lists = {}) {
+    try {
+        const isListed = (list, ext) => (list ?? []).some((id) => id.toLowerCase() === ext.toLowerCase());
+
+        return [
+            ...currentExtensions.filter((ext) => newExtensions.includes(ext) || isListed(lists.pinned, ext)),
+            ...newExtensions.filter((ext) => !currentExtensions.includes(ext))
+        ]
+            .filter((ext) => !isListed(lists.unwanted, ext))
+            .sort();
+    } catch (err) {
+        throw new LoggerErrorHandler('Failed to merge extensions', err.message);
+    }
+}
+
+/**
+ * Gets a colorized line diff between two texts, showing only the changed lines and their context
+ *
+ * @param {string} before - The original text
+ * @param {string} after - The updated text
+ * @param {number} [context = 2] - The number of unchanged lines to show around each change
+ * @returns {string} The diff, or an empty string if the texts are equal
+ */
+function getLineDiff(before, after, context = 2) {
+    const a = before === '' ? [] : before.split('\n');
+    const b = after === '' ? [] : after.split('\n');
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push({ type: ' ', text: a[i++] });
+            j++;
+        } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            lines.push({ type: '-', text: a[i++] });
+        } else {
+            lines.push({ type: '+', text: b[j++] });
+        }
+    }
+
+    const changed = lines.map((line, index) => (line.type !== ' ' ? index : -1)).filter((index) => index !== -1);
+    let diff = '';
+    let previous = -1;
+
+    lines.forEach((line, index) => {
+        if (!changed.some((c) => Math.abs(c - index) <= context)) return;
+
+        if (previous !== -1 && index - previous > 1) diff += colorize('cyan', '  ...') + '\n';
+        if (line.type === '+') diff += colorize('green', `+ ${line.text}`) + '\n';
+        else if (line.type === '-') diff += colorize('red', `- ${line.text}`) + '\n';
+        else diff += `  ${line.text}\n`;
+
+        previous = index;
+    });
+
+    return diff;
+}
+
+/**
+ * An entry of a ZIP archive
+ * @typedef {{ name: string, read: () => Buffer }} ZipEntry
+ */
+
+/**
+ * Reads the entries of a ZIP archive (e.g. a .vsix package) from its central directory
+ *
+ * @param {string} filePath - Path to the archive
+ * @returns {ZipEntry[]} The entries of the archive
+ */
+function readZipEntries(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    const minOffset = Math.max(0, buffer.length - 0xffff - 22);
+    let eocdOffset = -1;
+
+    for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+        if (buffer.readUInt32LE(offset) === 0x06054b50) {
+            eocdOffset = offset;
+            break;
+        }
+    }
+
+    if (eocdOffset === -1) throw new Error(`Not a ZIP archive: ${filePath}`);
+
+    const entries = [];
+    const count = buffer.readUInt16LE(eocdOffset + 10);
+    let offset = buffer.readUInt32LE(eocdOffset + 16);
+
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error(`Corrupted ZIP archive: ${filePath}`);
+
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        entries.push({
+            name,
+            read: () => {
+                const dataOffset =
+                    localHeaderOffset + 30 + buffer.readUInt16LE(localHeaderOffset + 26) + buffer.readUInt16LE(localHeaderOffset + 28);
+                const data = buffer.subarray(dataOffset, dataOffset + compressedSize);
+                return method === 0 ? data : zlib.inflateRawSync(data);
+            }
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
 }
 
-export { colorize, confirm, isMainModule, isFileURL, removeANSI };
+export {
+    colorize,
+    confirm,
+    editMessage,
+    getExtensionListChanges,
+    getLineDiff,
+    isColorEnabled,
+    isFileURL,
+    isMainModule,
+    mergeExtensions,
+    multiSelect,
+    readJsonFile,
+    readZipEntries,
+    removeANSI,
+    select,
+    setColorEnabled,
+    setupPrompts,
+    STYLES
+};
@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import { LoggerErrorHandler } from './logger.js';
+
+/**
+ * The pattern of a valid extension ID (`publisher.name`)
+ */
+const EXTENSION_ID_PATTERN = /^[a-z0-9][a-z0-9-]*\.[a-z0-9][a-z0-9-]*$/i;
+
+/**
+ * A rule about extensions that overlap each other
+ * @typedef {{
+ *     extensions: string[],
+ *     message?: string
+ * }} ExtensionRule
+ */
+
+/**
+ * The user-defined rules of the extension list.
+ * `conflicts` are groups of extensions that must not be shipped together (errors).
+ * `pickOne` are groups of extensions doing the same job, where only one should be picked (warnings).
+ * `pinned` are extensions that stay in the pack even if they are dropped from the recommendations.
+ * @typedef {{
+ *     conflicts: ExtensionRule[],
+ *     pickOne: ExtensionRule[],
+ *     pinned: string[]
+ * }} ExtensionRules
+ */
+
+/**
+ * The result of the validation of an extension list
+ * @typedef {{
+ *     errors: string[],
+ *     warnings: string[]
+ * }} ValidationResult
+ */
+
+/**
+ * Gets the path of the extension rules file
+ *
+ * @returns {string} The path of extension-rules.json in the project root
+ */
+function getExtensionRulesPath() {
+    return path.join(process.cwd(), 'extension-rules.json');
+}
+
+/**
+ * Reads the extension rules file, if there is one
+ *
+ * @param {string} [filePath = getExtensionRulesPath()] - Path to the rules file
+ * @returns {ExtensionRules} The extension rules
+ */
+function readExtensionRules(filePath = getExtensionRulesPath()) {
+    const rules = { conflicts: [], pickOne: [], pinned: [] };
+
+    if (!fs.existsSync(filePath)) return rules;
+
+    try {
+        const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        for (const key of Object.keys(content)) {
+            if (!(key in rules)) throw new Error(`Unknown key "${key}". Expected one of: ${Object.keys(rules).join(', ')}`);
+
+            if (key === 'pinned') {
+                if (!Array.isArray(content.pinned) || !content.pinned.every((ext) => typeof ext === 'string')) {
+                    throw new Error('"pinned" must be an array of extension IDs');
+                }
+
+                rules.pinned = content.pinned;
+                continue;
+            }
+
+            if (!Array.isArray(content[key])) throw new Error(`"${key}" must be an array of rules`);
+
+            content[key].forEach((rule, index) => {
+                const isValid =
+                    Array.isArray(rule?.extensions) &&
+                    rule.extensions.length > 1 &&
+                    rule.extensions.every((ext) => typeof ext === 'string') &&
+                    (rule.message === undefined || typeof rule.message === 'string');
+
+                if (!isValid) {
+                    throw new Error(`"${key}[${index}]" must have an "extensions" array of at least two IDs and an optional "message"`);
+                }
+            });
+
+            rules[key] = content[key];
+        }
+
+        return rules;
+    } catch (err) {
+        throw new LoggerErrorHandler(`Invalid extension rules file: ${filePath}`, err.message);
+    }
+}
+
+/**
+ * Validates an extension list: ID syntax, duplicates, casing, the user-defined rules and the unwanted recommendations
+ *
+ * @param {string[]} extensions - The list of extensions
+ * @param {ExtensionRules} rules - The user-defined rules
+ * @param {string[]} [unwanted = []] - The extensions that must never be shipped (`unwantedRecommendations`)
+ * @returns {ValidationResult} The errors and warnings found
+ */
+function validateExtensions(extensions, rules, unwanted = []) {
+    const errors = [];
+    const warnings = [];
+    const seen = new Map();
+
+    for (const ext of extensions) {
+        const id = ext.toLowerCase();
+
+        if (!EXTENSION_ID_PATTERN.test(ext)) errors.push(`Invalid extension ID "${ext}". Expected the format "publisher.name".`);
+        else if (ext !== id) warnings.push(`Extension ID "${ext}" is not lowercase. Use "${id}" instead.`);
+
+        if (seen.has(id)) errors.push(`Duplicated extension "${ext}" (already listed as "${seen.get(id)}").`);
+        else seen.set(id, ext);
+    }
+
+    const checkRules = (list, results, description) => {
+        for (const rule of list) {
+            const found = rule.extensions.filter((ext) => seen.has(ext.toLowerCase()));
+
+            if (found.length > 1) results.push(`${rule.message ?? description}: ${found.join(', ')}`);
+        }
+    };
+
+    checkRules(rules.conflicts, errors, 'Conflicting extensions must not be shipped together');
+    checkRules(rules.pickOne, warnings, 'Only one of these extensions should be picked');
+
+    const unwantedIds = new Set(unwanted.map((ext) => ext.toLowerCase()));
+
+    for (const ext of rules.pinned ?? []) {
+        if (!EXTENSION_ID_PATTERN.test(ext)) errors.push(`Invalid pinned extension ID "${ext}". Expected the format "publisher.name".`);
+        if (unwantedIds.has(ext.toLowerCase())) errors.push(`Extension "${ext}" is both pinned and unwanted.`);
+    }
+
+    for (const ext of extensions) {
+        if (unwantedIds.has(ext.toLowerCase()))
+            warnings.push(`Extension "${ext}" is both recommended and unwanted. It is left out of the pack.`);
+    }
+
+    return { errors, warnings };
+}
+
+export { readExtensionRules, validateExtensions };
@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import { findUncatalogedExtensions, refreshExtensionCatalog } from '../scripts/catalog.js';
+import { readExtensionMetadata } from '../scripts/readme.js';
+
+/**
+ * Writes the extension metadata file and the Marketplace exports in a temporary directory removed after the test
+ *
+ * @param {import('node:test').TestContext} t - The context of the test
+ * @param {Record<string, Object>} files - The content of each file, by name
+ * @returns {(name: string) => string} Gets the path of a file
+ */
+function writeFiles(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dev-essentials-pack-catalog-'));
+
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), JSON.stringify(content));
+
+    return (name) => path.join(dir, name);
+}
+
+const METADATA = {
+    'foo.bar': { displayName: 'Bar', category: 'Other', description: 'Does bar.' }
+};
+
+const QUERY = [{ publisher: { publisherName: 'foo' }, extensionName: 'bar', displayName: 'Bar', lastUpdated: '2026-01-02T00:00:00Z' }];
+
+test('a refresh from an extensionquery export leaves the deprecation unchecked', (t) => {
+    const file = writeFiles(t, { 'metadata.json': METADATA, 'query.json': QUERY });
+
+    assert.deepEqual(refreshExtensionCatalog([file('query.json')], ['foo.bar'], file('metadata.json')), {
+        refreshed: ['foo.bar'],
+        missing: []
+    });
+
+    const metadata = readExtensionMetadata(file('metadata.json'));
+
+    assert.equal(metadata['foo.bar'].lastUpdated, '2026-01-02');
+    assert.equal(metadata['foo.bar'].deprecated, undefined);
+    assert.deepEqual(findUncatalogedExtensions(['foo.bar'], metadata), ['foo.bar']);
+});
+
+test('a refresh from a control manifest sets the deprecation and the replacement', (t) => {
+    const file = writeFiles(t, {
+        'metadata.json': METADATA,
+        'marketplace.json': { deprecated: { 'Foo.Bar': { extension: { id: 'foo.baz' } } } }
+    });
+
+    refreshExtensionCatalog([file('marketplace.json')], ['foo.bar'], file('metadata.json'));
+
+    const metadata = readExtensionMetadata(file('metadata.json'));
+
+    assert.equal(metadata['foo.bar'].deprecated, true);
+    assert.equal(metadata['foo.bar'].replacement, 'foo.baz');
+    assert.deepEqual(findUncatalogedExtensions(['foo.bar'], metadata), []);
+});
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { DEFAULT_RELEASE_CONFIG } from '../scripts/config.js';
+import { createChangeSet, hasChanges, renderCommitMessage } from '../scripts/changeset.js';
+
+/**
+ * Builds the change set of a release of `pack` from 1.0.0 to 1.1.0
+ *
+ * @param {string[]} updatedExtensions - The extensions of the pack after the release
+ * @param {string[]} [changedFiles = []] - The extension files that differ from HEAD
+ * @returns {import('../scripts/changeset.js').ChangeSet} The change set
+ */
+function createPackChangeSet(updatedExtensions, changedFiles = []) {
+    return createChangeSet({
+        name: 'pack',
+        scope: 'extension',
+        previousVersion: '1.0.0',
+        version: '1.1.0',
+        currentExtensions: ['a.one', 'b.two'],
+        updatedExtensions,
+        changedFiles
+    });
+}
+
+test('gets the added, removed and kept extensions, and the changed files besides the manifest', () => {
+    const changeSet = createPackChangeSet(['b.two', 'c.three'], ['package.json']);
+
+    assert.deepEqual(
+        { added: changeSet.added, removed: changeSet.removed, kept: changeSet.kept, files: changeSet.files },
+        { added: ['c.three'], removed: ['a.one'], kept: ['b.two'], files: [] }
+    );
+    assert.deepEqual(createPackChangeSet(['b.two', 'c.three'], ['package.json', 'README.md']).files, ['package.json', 'README.md']);
+    assert.deepEqual(createPackChangeSet(['a.one', 'b.two'], ['package.json']).files, ['package.json']);
+    assert.equal(hasChanges(createPackChangeSet(['b.two', 'a.one'])), false);
+});
+
+test('renders the commit message from the templates, leaving out the paragraphs without values', () => {
+    const templates = { ...DEFAULT_RELEASE_CONFIG.messages, footer: 'BREAKING CHANGE: removes {{removed}}' };
+
+    assert.equal(
+        renderCommitMessage(createPackChangeSet(['b.two', 'c.three']), templates),
+        'feat(extension): Updates to v1.1.0\n\nNew extension list:\n  - a.one\n  • b.two\n  + c.three\n\nBREAKING CHANGE: removes a.one\n'
+    );
+    assert.equal(
+        renderCommitMessage(createPackChangeSet(['a.one', 'b.two'], ['README.md']), templates),
+        'feat(extension): Updates to v1.1.0\n\nExtension files updated:\n\n- README.md\n'
+    );
+});
@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import { loadReleaseConfig } from '../scripts/config.js';
+
+/**
+ * Writes a `.releaserc.json` in a temporary directory, removed after the test
+ *
+ * @param {import('node:test').TestContext} t - The context of the test
+ * @param {unknown} content - The content of the config file
+ * @returns {string} The path of the directory
+ */
+function writeReleaseConfig(t, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dev-essentials-pack-config-'));
+
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, '.releaserc.json'), JSON.stringify(content));
+
+    return dir;
+}
+
+test('loads the theme and the JSON Lines log setting of the config', async (t) => {
+    const cwd = writeReleaseConfig(t, { jsonLog: true, theme: { error: { label: ['bold', 'magenta'] } } });
+    const config = await loadReleaseConfig(cwd);
+
+    assert.equal(config.jsonLog, true);
+    assert.deepEqual(config.theme, { error: { label: ['bold', 'magenta'] } });
+});
+
+test('rejects the unknown log types and styles of the theme', async (t) => {
+    const cwd = writeReleaseConfig(t, { theme: { warning: { label: ['pink'], message: [] }, debug: {} } });
+
+    await assert.rejects(loadReleaseConfig(cwd), (err) => {
+        assert.match(err.message, /"theme\.warning\.label" must be a style/);
+        assert.match(err.message, /"theme\.warning\.message" must be a style/);
+        assert.match(err.message, /Unknown key "theme\.debug"/);
+        return true;
+    });
+});
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * A stand-in for the vsce binary, set as the `vsce` of the release config in the tests.
+ * `package --out <path>` writes a .vsix of the manifest in the current directory, `publish --packagePath <path>` checks it exists.
+ * Every call is appended to the file set in FAKE_VSCE_LOG, and the command set in FAKE_VSCE_FAIL fails.
+ */
+
+/**
+ * The table of the CRC-32 of each byte
+ * @type {number[]}
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, byte) => {
+    let crc = byte;
+
+    for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+
+    return crc >>> 0;
+});
+
+/**
+ * Computes the CRC-32 of a buffer, as stored in the ZIP headers
+ *
+ * @param {Buffer} buffer - The buffer
+ * @returns {number} The checksum
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Writes a ZIP archive with its entries stored without compression
+ *
+ * @param {string} filePath - Path to the archive
+ * @param {Record<string, Buffer>} entries - The content of each entry, by name
+ */
+function writeZip(filePath, entries) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const [name, data] of Object.entries(entries)) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const local = Buffer.alloc(30);
+        const central = Buffer.alloc(46);
+        const crc = crc32(data);
+
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBuffer, data);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + data.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(entries).length, 8);
+    end.writeUInt16LE(Object.keys(entries).length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    fs.writeFileSync(filePath, Buffer.concat([...localParts, centralDirectory, end]));
+}
+
+/**
+ * Packages the extension in the current directory, as vsce does: the manifest, its icon and the usual files under `extension/`
+ *
+ * @param {string} outPath - Path to the .vsix package
+ */
+function packageExtension(outPath) {
+    const manifest = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+    const files = ['package.json', 'README.md', 'CHANGELOG.md', 'LICENSE', manifest.icon].filter((file) => file && fs.existsSync(file));
+    const entries = {
+        'extension.vsixmanifest': Buffer.from(`<PackageManifest Id="${manifest.name}" Version="${manifest.version}"/>\n`),
+        ...Object.fromEntries(files.map((file) => [`extension/${file}`, fs.readFileSync(file)]))
+    };
+
+    writeZip(path.resolve(outPath), entries);
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+if (process.env.FAKE_VSCE_LOG) fs.appendFileSync(process.env.FAKE_VSCE_LOG, `${[command, ...args].join(' ')}\n`);
+
+if (process.env.FAKE_VSCE_FAIL === command) {
+    console.error(`ERROR  Fake ${command} failure`);
+    process.exit(1);
+}
+
+if (command === 'package') {
+    packageExtension(args[args.indexOf('--out') + 1]);
+} else if (command === 'publish') {
+    const packagePath = args[args.indexOf('--packagePath') + 1];
+
+    if (!fs.existsSync(packagePath)) {
+        console.error(`ERROR  ${packagePath} not found`);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { DEFAULT_RELEASE_CONFIG } from '../scripts/config.js';
+import { createReleaser } from '../scripts/release.js';
+
+/**
+ * The root of the project the fixtures are copied from
+ */
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * The stand-in for vsce used by the fixture releases
+ */
+const FAKE_VSCE = path.join(PROJECT_ROOT, 'tests', 'fixtures', 'fake-vsce.js');
+
+/**
+ * The files of the project a release works with, copied into each fixture repository
+ */
+const FIXTURE_FILES = [
+    '.gitignore',
+    '.vscode/extensions.json',
+    '.vscodeignore',
+    'LICENSE',
+    'README.md',
+    'assets/icon_128.png',
+    'extension-metadata.json',
+    'extension-rules.json',
+    'package.json',
+    'profiles'
+];
+
+/**
+ * A release pipeline bound to a fixture repository, with the prompts and the logger it was created with
+ * @typedef {{
+ *     cwd: string,
+ *     vsceLog: string,
+ *     releaser: import('../scripts/release.js').Releaser,
+ *     prompt: ScriptedPrompt,
+ *     messages: { level: string, message: string }[]
+ * }} Fixture
+ */
+
+/**
+ * Prompts answered from a map of prompt names to answers, or with their default answer.
+ * `asked` lists the names of the prompts, in the order they were asked.
+ * @typedef {import('../scripts/release.js').Prompt & { asked: string[] }} ScriptedPrompt
+ */
+
+/**
+ * Runs a git command in a repository
+ *
+ * @param {string} cwd - The root of the repository
+ * @param {...string} args - The arguments of the command
+ * @returns {string} The output of the command, trimmed
+ */
+function git(cwd, ...args) {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+/**
+ * Creates prompts that answer from a map of prompt names to answers, and with the default answer otherwise.
+ * A confirmation without a scripted answer is accepted.
+ *
+ * @param {Record<string, any>} [answers = {}] - The answer of each prompt, by name
+ * @returns {ScriptedPrompt} The prompts
+ */
+function createScriptedPrompt(answers = {}) {
+    const asked = [];
+    const answer = (name, defaultValue) => {
+        asked.push(name);
+        return name in answers ? answers[name] : defaultValue;
+    };
+
+    return {
+        asked,
+        confirm: (message, logger, name, defaultValue) => answer(name, defaultValue ?? true),
+        select: (message, choices, options = {}) => answer(options.name, options.defaultValue),
+        multiSelect: (message, choices, options = {}) => answer(options.name, options.defaultValues ?? []),
+        editMessage: (text, name = null) => answer(name, text)
+    };
+}
+
+/**
+ * Creates a logger that records the messages instead of printing them
+ *
+ * @param {{ level: string, message: string }[]} messages - The list the messages are added to
+ * @returns {import('../scripts/release.js').ReleaseLogger} The logger
+ */
+function createRecordingLogger(messages) {
+    const log =
+        (level) =>
+        (message, verboseContent, ...args) => {
+            messages.push({ level, message: args.reduce((text, arg, index) => text.replaceAll(`{{${index}}}`, arg), message) });
+        };
+
+    return { info: log('info'), success: log('success'), warning: log('warning'), question: log('question'), error: log('error') };
+}
+
+/**
+ * Creates a git repository from the files of the project, in a temporary directory removed after the test,
+ * and a release pipeline working in it with the fake vsce
+ *
+ * @param {import('node:test').TestContext} t - The context of the test
+ * @param {{ answers?: Record<string, any>, config?: Partial<import('../scripts/config.js').ReleaseConfig> }} [options = {}]
+ * The scripted answers of the prompts and the config values to override
+ * @returns {Fixture} The fixture
+ */
+function createFixture(t, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dev-essentials-pack-test-'));
+    const cwd = path.join(dir, 'repo');
+    const vsceLog = path.join(dir, 'vsce.log');
+
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    for (const file of FIXTURE_FILES) fs.cpSync(path.join(PROJECT_ROOT, file), path.join(cwd, file), { recursive: true });
+
+    git(cwd, 'init', '--quiet', '--initial-branch', 'main');
+    git(cwd, 'config', 'user.name', 'Test');
+    git(cwd, 'config', 'user.email', 'test@example.com');
+    git(cwd, 'config', 'commit.gpgsign', 'false');
+    git(cwd, 'config', 'tag.gpgsign', 'false');
+    git(cwd, 'add', '--all');
+    git(cwd, 'commit', '--quiet', '--message', 'chore: Initial commit');
+
+    process.env.FAKE_VSCE_LOG = vsceLog;
+    fs.writeFileSync(vsceLog, '');
+
+    const prompt = createScriptedPrompt(options.answers);
+    const messages = [];
+    const config = { ...DEFAULT_RELEASE_CONFIG, vsce: FAKE_VSCE, preflight: { branch: 'main', skip: [] }, ...options.config };
+    const releaser = createReleaser({ cwd, config, prompt, logger: createRecordingLogger(messages) });
+
+    return { cwd, vsceLog, releaser, prompt, messages };
+}
+
+/**
+ * Adds extensions to the recommendations of a fixture repository, without committing them
+ *
+ * @param {string} cwd - The root of the repository
+ * @param {...string} extensions - The IDs of the extensions
+ */
+function addRecommendations(cwd, ...extensions) {
+    const filePath = path.join(cwd, '.vscode', 'extensions.json');
+    const extensionsJson = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    extensionsJson.recommendations.push(...extensions);
+    fs.writeFileSync(filePath, JSON.stringify(extensionsJson, null, 4) + '\n');
+}
+
+/**
+ * Reads the manifest of a fixture repository
+ *
+ * @param {string} cwd - The root of the repository
+ * @param {string} [manifestPath = 'package.json'] - The path of the manifest, relative to the root
+ * @returns {Object} The manifest
+ */
+function readManifest(cwd, manifestPath = 'package.json') {
+    return JSON.parse(fs.readFileSync(path.join(cwd, manifestPath), 'utf8'));
+}
+
+/**
+ * Reads the vsce commands run by a fixture release
+ *
+ * @param {Fixture} fixture - The fixture
+ * @returns {string[]} The commands, without the binary
+ */
+function readVsceCalls(fixture) {
+    return fs
+        .readFileSync(fixture.vsceLog, 'utf8')
+        .split('\n')
+        .filter((line) => line !== '');
+}
+
+export { addRecommendations, createFixture, git, readManifest, readVsceCalls };
@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { parseJsonc, setJsoncProperties } from '../scripts/jsonc.js';
+
+const MANIFEST = [
+    '{',
+    '  // The name of the pack',
+    '  "name": "pack", /* never changed */',
+    '  "version": "1.0.0",',
+    '  "extensionPack": [',
+    '    "a.one"',
+    '  ]',
+    '}',
+    ''
+].join('\n');
+
+test('sets the properties of a JSONC object, keeping its comments, key order and indentation', () => {
+    const text = setJsoncProperties(MANIFEST, { version: '1.1.0', extensionPack: ['a.one', 'b.two'], icon: 'icon.png' });
+
+    assert.equal(
+        text,
+        [
+            '{',
+            '  // The name of the pack',
+            '  "name": "pack", /* never changed */',
+            '  "version": "1.1.0",',
+            '  "extensionPack": [',
+            '    "a.one",',
+            '    "b.two"',
+            '  ],',
+            '  "icon": "icon.png"',
+            '}',
+            ''
+        ].join('\n')
+    );
+    assert.deepEqual(parseJsonc(text), { name: 'pack', version: '1.1.0', extensionPack: ['a.one', 'b.two'], icon: 'icon.png' });
+});
+
+test('keeps the line endings of a JSONC object and fills an empty one', () => {
+    assert.equal(
+        setJsoncProperties(MANIFEST.replaceAll('\n', '\r\n'), { version: '2.0.0' }),
+        MANIFEST.replace('1.0.0', '2.0.0').replaceAll('\n', '\r\n')
+    );
+    assert.equal(setJsoncProperties('{}\n', { version: '1.0.0' }), '{\n    "version": "1.0.0"\n}\n');
+    assert.throws(() => setJsoncProperties('[]', { version: '1.0.0' }), /not an object/);
+});
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import { Logger } from '../scripts/logger.js';
+
+/**
+ * Creates a temporary directory, removed after the test
+ *
+ * @param {import('node:test').TestContext} t - The context of the test
+ * @returns {string} The path of the directory
+ */
+function createTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dev-essentials-pack-logs-'));
+
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    return dir;
+}
+
+test('only prunes the expired logs named by the scripts from the directory of the logs', (t) => {
+    const dir = createTempDir(t);
+    const logDir = path.join(dir, 'logs');
+    const expired = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+    const files = ['release-2020_01_01-00_00_00.log', 'release-2020_01_01-00_00_00.jsonl', 'server.log', 'events.jsonl'];
+
+    fs.mkdirSync(logDir);
+
+    for (const file of files) {
+        fs.writeFileSync(path.join(logDir, file), '');
+        fs.utimesSync(path.join(logDir, file), expired, expired);
+    }
+
+    Logger.create(path.join(dir, 'release.js')).configure({ logDir });
+
+    assert.deepEqual(fs.readdirSync(logDir).sort(), ['events.jsonl', 'server.log']);
+});
+
+test('writes the events to a JSON Lines log next to the log once configured to', (t) => {
+    const dir = createTempDir(t);
+    const logger = Logger.create(path.join(dir, 'release.js'));
+
+    assert.equal(logger.jsonLogPath, null);
+
+    logger.configure({ quiet: true, logDir: dir, jsonLog: true });
+    logger.info('Released {{0}}', null, 'v1.0.0');
+
+    const [event] = fs
+        .readFileSync(logger.jsonLogPath, 'utf8')
+        .split('\n')
+        .filter((line) => line !== '')
+        .map((line) => JSON.parse(line));
+
+    assert.equal(path.dirname(logger.jsonLogPath), dir);
+    assert.equal(event.message, 'Released v1.0.0');
+    assert.equal(event.level, 'info');
+});
@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { test } from 'node:test';
+import { createGit } from '../scripts/git.js';
+import { checkCleanIndex, checkVscodeignore } from '../scripts/preflight.js';
+import { createFixture, git } from './helpers.js';
+
+test('checkVscodeignore reports the packaged files .vscodeignore excludes, the last matching pattern winning', (t) => {
+    const { cwd } = createFixture(t);
+
+    fs.writeFileSync(path.join(cwd, '.vscodeignore'), '# Sources\n**/*.md\n!README.md\n\nassets/\n');
+
+    assert.deepEqual(checkVscodeignore(['package.json', 'README.md', 'CHANGELOG.md', 'assets/icon_128.png'], cwd), [
+        '.vscodeignore excludes CHANGELOG.md from the package.',
+        '.vscodeignore excludes assets/icon_128.png from the package.'
+    ]);
+
+    fs.rmSync(path.join(cwd, '.vscodeignore'));
+
+    assert.deepEqual(checkVscodeignore(['CHANGELOG.md'], cwd), []);
+});
+
+test('checkCleanIndex reports the staged files and the unstaged changes to the released files', (t) => {
+    const { cwd } = createFixture(t);
+    const client = createGit(cwd);
+
+    assert.deepEqual(checkCleanIndex(client, ['package.json', 'README.md']), []);
+
+    fs.appendFileSync(path.join(cwd, 'LICENSE'), '\n');
+    fs.appendFileSync(path.join(cwd, 'package.json'), '\n');
+    fs.writeFileSync(path.join(cwd, 'notes.txt'), 'Staged\n');
+    git(cwd, 'add', 'notes.txt');
+
+    assert.deepEqual(checkCleanIndex(client, ['package.json', 'README.md']), [
+        'Files already staged: notes.txt. Commit or unstage them first.',
+        'Unstaged changes to released files: package.json. Commit or discard them first.'
+    ]);
+});
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { test } from 'node:test';
+import { PublishError } from '../scripts/release.js';
+import { readZipEntries } from '../scripts/utils.js';
+import { addRecommendations, createFixture, git, readManifest, readVsceCalls } from './helpers.js';
+
+test('publishes the package vsce built and keeps it', (t) => {
+    const fixture = createFixture(t);
+
+    addRecommendations(fixture.cwd, 'aaron-bond.better-comments');
+
+    const { packs } = fixture.releaser.release();
+    const vsixPath = path.join(fixture.cwd, `dev-essentials-pack-${packs[0].version}.vsix`);
+
+    assert.equal(packs[0].published, true);
+    assert.equal(packs[0].tag, `v${packs[0].version}`);
+    assert.equal(git(fixture.cwd, 'tag', '--list', packs[0].tag), packs[0].tag);
+    assert.deepEqual(readVsceCalls(fixture), [`package --out ${vsixPath}`, `publish --packagePath ${vsixPath}`]);
+
+    const manifest = JSON.parse(
+        readZipEntries(vsixPath)
+            .find((entry) => entry.name === 'extension/package.json')
+            .read()
+            .toString('utf8')
+    );
+
+    assert.equal(manifest.version, packs[0].version);
+    assert.ok(manifest.extensionPack.includes('aaron-bond.better-comments'));
+});
+
+test('removes the tag and the package when the publication fails', (t) => {
+    const fixture = createFixture(t);
+    const head = git(fixture.cwd, 'rev-parse', 'HEAD');
+    const { version } = readManifest(fixture.cwd);
+
+    addRecommendations(fixture.cwd, 'aaron-bond.better-comments');
+    process.env.FAKE_VSCE_FAIL = 'publish';
+    t.after(() => delete process.env.FAKE_VSCE_FAIL);
+
+    assert.throws(
+        () => fixture.releaser.release(),
+        (err) => {
+            assert.ok(err instanceof PublishError);
+            assert.match(
+                err.verboseContent,
+                new RegExp(`The unpublished release commits were rolled back, the package and the tag ${err.tag} were removed\\.`)
+            );
+            assert.equal(git(fixture.cwd, 'tag', '--list', err.tag), '');
+            return true;
+        }
+    );
+
+    assert.ok(readVsceCalls(fixture).some((call) => call.startsWith('publish ')));
+    assert.deepEqual(
+        fs.readdirSync(fixture.cwd).filter((file) => file.endsWith('.vsix')),
+        []
+    );
+    assert.equal(git(fixture.cwd, 'rev-parse', 'HEAD'), head);
+    assert.equal(readManifest(fixture.cwd).version, version);
+});
+
+test('does not tag the release when vsce fails to package it', (t) => {
+    const fixture = createFixture(t);
+
+    addRecommendations(fixture.cwd, 'aaron-bond.better-comments');
+    process.env.FAKE_VSCE_FAIL = 'package';
+    t.after(() => delete process.env.FAKE_VSCE_FAIL);
+
+    assert.throws(() => fixture.releaser.release(), PublishError);
+    assert.equal(git(fixture.cwd, 'tag', '--list'), '');
+    assert.deepEqual(
+        readVsceCalls(fixture).map((call) => call.split(' ')[0]),
+        ['package']
+    );
+    assert.deepEqual(
+        fs.readdirSync(fixture.cwd).filter((file) => file.endsWith('.vsix')),
+        []
+    );
+});
+
+test('keeps the tag and the package of a previous publication of the same version', (t) => {
+    const fixture = createFixture(t);
+
+    addRecommendations(fixture.cwd, 'aaron-bond.better-comments');
+
+    const { packs } = fixture.releaser.release();
+    const vsixPath = path.join(fixture.cwd, `dev-essentials-pack-${packs[0].version}.vsix`);
+
+    assert.throws(
+        () => fixture.releaser.publish(),
+        (err) => err instanceof PublishError && /Tag already exists[^]*The release commits were kept\.$/.test(err.verboseContent)
+    );
+    assert.equal(git(fixture.cwd, 'tag', '--list', packs[0].tag), packs[0].tag);
+    assert.ok(fs.existsSync(vsixPath));
+});
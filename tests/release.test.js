@@ -0,0 +1,133 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { test } from 'node:test';
+import { DEFAULT_RELEASE_CONFIG } from '../scripts/config.js';
+import { createReleaser, ExtensionValidationError, PublishError, ReleaseAbortedError } from '../scripts/release.js';
+import { readZipEntries } from '../scripts/utils.js';
+import { addRecommendations, createFixture, git, readManifest } from './helpers.js';
+
+test('validate reports the rule warnings of a valid extension list', (t) => {
+    const { releaser } = createFixture(t);
+    const { errors, warnings } = releaser.validate();
+
+    assert.deepEqual(errors, []);
+    assert.ok(warnings.some((warning) => warning.includes('Both extensions are REST clients')));
+});
+
+test('the default logger writes to the directory of the logs set in the config, relative to the project root', (t) => {
+    const { cwd } = createFixture(t);
+    const releaser = createReleaser({ cwd, config: { ...DEFAULT_RELEASE_CONFIG, logDir: 'logs' } });
+
+    releaser.validate();
+
+    assert.ok(fs.readdirSync(path.join(cwd, 'logs')).some((file) => /^release-.+\.log$/.test(file)));
+});
+
+test('validate throws on an invalid extension ID', (t) => {
+    const { cwd, releaser } = createFixture(t);
+
+    addRecommendations(cwd, 'not-an-extension-id');
+
+    assert.throws(
+        () => releaser.validate(),
+        (err) => err instanceof ExtensionValidationError && err.errors.some((error) => error.includes('not-an-extension-id'))
+    );
+});
+
+test('plan gets the changes of a release without changing anything', (t) => {
+    const { cwd, releaser } = createFixture(t);
+
+    addRecommendations(cwd, 'aaron-bond.better-comments');
+
+    const status = git(cwd, 'status', '--porcelain');
+    const { packs } = releaser.plan();
+
+    assert.equal(packs.length, 1);
+    assert.deepEqual(packs[0].added, ['aaron-bond.better-comments']);
+    assert.equal(packs[0].currentVersion, readManifest(cwd).version);
+    assert.notEqual(packs[0].updatedVersion, packs[0].currentVersion);
+    assert.equal(packs[0].hasChanges, true);
+    assert.match(packs[0].message, /aaron-bond\.better-comments/);
+    assert.equal(git(cwd, 'status', '--porcelain'), status);
+});
+
+test('update writes the manifest, the changelog and the README without committing', (t) => {
+    const { cwd, releaser } = createFixture(t);
+    const head = git(cwd, 'rev-parse', 'HEAD');
+
+    addRecommendations(cwd, 'aaron-bond.better-comments');
+
+    const { commits, packs } = releaser.update();
+    const manifest = readManifest(cwd);
+
+    assert.deepEqual(commits, []);
+    assert.equal(manifest.version, packs[0].version);
+    assert.ok(manifest.extensionPack.includes('aaron-bond.better-comments'));
+    assert.match(fs.readFileSync(path.join(cwd, 'CHANGELOG.md'), 'utf8'), new RegExp(packs[0].version.replaceAll('.', '\\.')));
+    assert.match(fs.readFileSync(path.join(cwd, 'README.md'), 'utf8'), /aaron-bond\.better-comments/);
+    assert.equal(git(cwd, 'rev-parse', 'HEAD'), head);
+});
+
+test('release commits and publishes each pack, committing the shared files with the first one', (t) => {
+    const { cwd, releaser, prompt } = createFixture(t);
+
+    addRecommendations(cwd, 'aaron-bond.better-comments');
+
+    const { commits, packs } = releaser.release({ allProfiles: true });
+
+    assert.equal(commits.length, packs.length);
+    assert.ok(packs.every((pack) => pack.committed && pack.published));
+    assert.ok(prompt.asked.includes('commitExtensionFiles'));
+    assert.equal(git(cwd, 'status', '--porcelain'), '');
+
+    const [defaultCommit, ...profileCommits] = commits.map((commit) => git(cwd, 'show', '--name-only', '--format=%B', commit));
+
+    assert.match(defaultCommit, /\.vscode\/extensions\.json/);
+    assert.ok(profileCommits.every((commit) => !/\.vscode\/extensions\.json|README\.md/.test(commit)));
+
+    const core = packs.find((pack) => pack.profile === 'core');
+    const readme = readZipEntries(path.join(cwd, `${core.name}-${core.version}.vsix`))
+        .find((entry) => entry.name === 'extension/README.md')
+        .read()
+        .toString('utf8');
+
+    assert.match(readme, new RegExp(`^# ${readManifest(cwd, 'profiles/core/package.json').displayName}\\n`));
+});
+
+test('release rolls back the files when the commit is aborted', (t) => {
+    const { cwd, releaser } = createFixture(t, { answers: { commitExtensionFiles: 'abort' } });
+    const head = git(cwd, 'rev-parse', 'HEAD');
+    const manifest = fs.readFileSync(path.join(cwd, 'package.json'), 'utf8');
+
+    addRecommendations(cwd, 'aaron-bond.better-comments');
+
+    assert.throws(() => releaser.release(), ReleaseAbortedError);
+    assert.equal(git(cwd, 'rev-parse', 'HEAD'), head);
+    assert.equal(fs.readFileSync(path.join(cwd, 'package.json'), 'utf8'), manifest);
+    assert.equal(fs.existsSync(path.join(cwd, 'CHANGELOG.md')), false);
+});
+
+test('resume retries a failed release with the same options', (t) => {
+    const { cwd, releaser } = createFixture(t);
+    const head = git(cwd, 'rev-parse', 'HEAD');
+
+    addRecommendations(cwd, 'aaron-bond.better-comments');
+    process.env.FAKE_VSCE_FAIL = 'publish';
+    t.after(() => delete process.env.FAKE_VSCE_FAIL);
+
+    assert.throws(() => releaser.release({ profiles: ['core'] }), PublishError);
+    assert.equal(git(cwd, 'rev-parse', 'HEAD'), head);
+
+    delete process.env.FAKE_VSCE_FAIL;
+
+    const { commits, packs } = releaser.resume();
+
+    assert.equal(commits.length, 1);
+    assert.deepEqual(
+        packs.map((pack) => [pack.profile, pack.published]),
+        [['core', true]]
+    );
+    assert.equal(git(cwd, 'tag', '--list'), packs[0].tag);
+    assert.throws(() => releaser.resume(), /No failed release to resume/);
+});
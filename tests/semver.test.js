@@ -0,0 +1,30 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { increaseVersion, isPrerelease } from '../scripts/semver.js';
+
+test('bumps a release to the first pre-release of the next version', () => {
+    assert.equal(increaseVersion('3.1.0', 'minor', 'beta'), '3.2.0-beta.0');
+    assert.equal(increaseVersion('3.1.0', 'major', 'beta'), '4.0.0-beta.0');
+    assert.equal(increaseVersion('3.1.0', 'patch', 'rc'), '3.1.1-rc.0');
+});
+
+test('increases the number of a pre-release of the same version and tag', () => {
+    assert.equal(increaseVersion('3.2.0-beta.0', 'minor', 'beta'), '3.2.0-beta.1');
+    assert.equal(increaseVersion('3.2.0-beta.1', 'minor', 'rc'), '3.2.0-rc.0');
+    assert.equal(increaseVersion('3.2.0-beta.1', 'major', 'beta'), '4.0.0-beta.0');
+});
+
+test('releases a pre-release with the bump that reaches its version', () => {
+    assert.equal(increaseVersion('3.2.0-beta.1', 'minor'), '3.2.0');
+    assert.equal(increaseVersion('3.2.0-beta.1', 'patch'), '3.2.0');
+    assert.equal(increaseVersion('3.2.0-beta.1', 'major'), '4.0.0');
+    assert.equal(increaseVersion('4.0.0-beta.1', 'major'), '4.0.0');
+    assert.equal(increaseVersion('3.2.1-beta.1', 'minor'), '3.3.0');
+});
+
+test('checks the pre-release versions and tags', () => {
+    assert.equal(isPrerelease('3.2.0-beta.1'), true);
+    assert.equal(isPrerelease('3.2.0+build.5'), false);
+    assert.throws(() => increaseVersion('3.2.0', 'minor', 'beta.1'), /Invalid pre-release tag/);
+    assert.throws(() => increaseVersion('3.2', 'minor'), /Invalid semantic version/);
+});
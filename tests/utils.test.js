@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { test } from 'node:test';
+import { getLineDiff, readZipEntries, setColorEnabled } from '../scripts/utils.js';
+
+/**
+ * Writes a ZIP archive in a temporary directory, removed after the test. The checksums are left out: they are not read.
+ *
+ * @param {import('node:test').TestContext} t - The context of the test
+ * @param {{ name: string, data: Buffer, deflate?: boolean }[]} entries - The entries, stored or deflated
+ * @returns {string} The path of the archive
+ */
+function writeZip(t, entries) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dev-essentials-pack-zip-'));
+    const filePath = path.join(dir, 'test.vsix');
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    for (const { name, data, deflate } of entries) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const content = deflate ? zlib.deflateRawSync(data) : data;
+        const local = Buffer.alloc(30);
+        const central = Buffer.alloc(46);
+
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(deflate ? 8 : 0, 8);
+        local.writeUInt32LE(content.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(deflate ? 8 : 0, 10);
+        central.writeUInt32LE(content.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBuffer, content);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + content.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    fs.writeFileSync(filePath, Buffer.concat([...localParts, centralDirectory, end]));
+
+    return filePath;
+}
+
+test('readZipEntries reads the stored and the deflated entries of an archive', (t) => {
+    const readme = Buffer.from('# Pack\n'.repeat(100));
+    const filePath = writeZip(t, [
+        { name: 'extension.vsixmanifest', data: Buffer.from('<PackageManifest/>') },
+        { name: 'extension/README.md', data: readme, deflate: true }
+    ]);
+    const entries = readZipEntries(filePath);
+
+    assert.deepEqual(
+        entries.map((entry) => entry.name),
+        ['extension.vsixmanifest', 'extension/README.md']
+    );
+    assert.equal(entries[0].read().toString('utf8'), '<PackageManifest/>');
+    assert.deepEqual(entries[1].read(), readme);
+});
+
+test('readZipEntries rejects a file that is not an archive', (t) => {
+    const filePath = writeZip(t, []);
+
+    fs.writeFileSync(filePath, 'Not a ZIP archive, only text long enough to be searched for its end of central directory');
+
+    assert.throws(() => readZipEntries(filePath), /Not a ZIP archive/);
+});
+
+test('getLineDiff shows the changed lines with their context', (t) => {
+    setColorEnabled(false);
+    t.after(() => setColorEnabled(null));
+
+    const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].join('\n');
+    const after = ['a', 'B', 'c', 'd', 'e', 'f', 'g'].join('\n');
+
+    assert.equal(getLineDiff(before, after, 1), '  a\n- b\n+ B\n  c\n  ...\n  g\n- h\n');
+    assert.equal(getLineDiff('', 'a\nb'), '+ a\n+ b\n');
+    assert.equal(getLineDiff(before, before), '');
+});